@@ -3,7 +3,19 @@ const Conversation = require('../models/conversationModel');
 const Message = require('../models/messageModel');
 const User = require('../models/userModel');
 const StickerPack = require('../models/stickerPackModel');
+const ScheduledMessage = require('../models/scheduledMessageModel');
+const StarredMessage = require('../models/starredMessageModel');
+const ChatFolder = require('../models/chatFolderModel');
+const ConversationTombstone = require('../models/conversationTombstoneModel');
+const InboxEntry = require('../models/inboxEntryModel');
 const { isPremiumActive } = require('../utils/premium');
+const { MUTE_DURATIONS, getActiveMute } = require('../utils/mute');
+const {
+  REACTION_EMOJIS,
+  HEART,
+  getUserReaction,
+  summarizeReactions,
+} = require('../utils/reactions');
 const {
   sendPushToUser,
   registerDeviceToken,
@@ -13,88 +25,54 @@ const { publishNotification } = require('../src/notificationPublisher');
 const DeviceToken = require('../models/deviceTokenModel');
 const { emitToUser } = require('../src/socketManager');
 const { moderateChatPhoto, deleteRejectedPhoto } = require('../services/photoModeration');
-
-const { S3Client, GetObjectCommand, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { markMessagesDelivered } = require('../services/deliveryReceiptService');
+const {
+  sendChatMessage,
+  sendGroupChatMessage,
+  refreshLastMessage,
+  decrementUnread,
+  releaseUnreadMessages,
+  releaseGroupUnread,
+  countGroupUnread,
+  repairUnreadCounts,
+  settleUnreadAfterFullRead,
+  toClientReplyTo,
+  markReplyPreviewsDeleted,
+  unpinDeletedMessages,
+} = require('../services/messageService');
+const { createSystemMessage } = require('../services/systemMessageService');
+const { getUserCards, buildUserCard } = require('../services/userCards');
+const { inboxMuteState } = require('../services/inboxService');
+const { schemas } = require('../middlewares/validate');
+const { REGION, BUCKET, getPhotoUrl, deleteMediaKeys, copyMediaObject } = require('../services/mediaStorage');
 
 // Сколько чатов пользователь может закрепить вверху списка. Дублируется на
 // клиенте (MAX_PINNED в Chats.js) — менять надо в обоих местах.
 const MAX_PINNED_CONVERSATIONS = 10;
+// Папки чатов: сколько папок у пользователя и чатов в одной папке
+const MAX_CHAT_FOLDERS = 10;
+const MAX_FOLDER_CONVERSATIONS = 500;
+// Сколько сообщений можно закрепить внутри одного чата (общий список участников)
+const MAX_PINNED_MESSAGES = 5;
+// Участников в группе, включая создателя
+const MAX_GROUP_MEMBERS = 50;
+
+// Окно, в течение которого отправитель может отредактировать сообщение (сек).
+// Дальше правка запрещена — иначе давнюю переписку можно переписать задним числом.
+const MESSAGE_EDIT_WINDOW_SEC = Number(process.env.MESSAGE_EDIT_WINDOW_SEC || 15 * 60);
+// Сколько предыдущих версий текста храним на сообщении (старые отбрасываются)
+const MAX_EDIT_HISTORY = 20;
+
+// Отложенные сообщения: сколько одновременно ждут отправки у одного автора
+// и насколько вперёд можно планировать
+const MAX_PENDING_SCHEDULED = 50;
+const SCHEDULE_MAX_AHEAD_MS = 30 * 24 * 3600 * 1000;
 
-const REGION = process.env.AWS_REGION || 'eu-central-1';
-const BUCKET = process.env.S3_BUCKET || 'molo-user-photos';
-const PRESIGNED_TTL_SEC = Number(process.env.S3_GET_TTL_SEC || 3600);
 // Публичная база для картинок стикеров (CDN / public-read префикс stickers/).
 // В отличие от фото/голоса стикеры не приватны и не E2E — раздаём статичным URL
 // с длинным кешем, без presign на каждый запрос.
 const STICKER_PUBLIC_BASE = process.env.STICKER_PUBLIC_BASE
   || `https://${BUCKET}.s3.${REGION}.amazonaws.com`;
-// Кэшируем на 50 минут (URL действителен 60 мин — берём с запасом)
-const PRESIGNED_CACHE_TTL_MS = 50 * 60 * 1000;
-
-const s3 = new S3Client({
-  region: REGION,
-  credentials: process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
-    ? {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      }
-    : undefined,
-});
-
-// Best-effort удаление медиа-файлов (voice/, chat-photos/) из S3.
-// Вызывается при удалении сообщений/чатов, чтобы не копить сироты в бакете.
-// Не бросает исключений — сбой очистки не должен ломать основной ответ.
-async function deleteMediaKeys(keys) {
-  const clean = [...new Set((keys || []).filter((k) => typeof k === 'string' && k.trim()))];
-  if (clean.length === 0) return { deleted: 0 };
-
-  let deleted = 0;
-  // DeleteObjects принимает до 1000 ключей за запрос
-  for (let i = 0; i < clean.length; i += 1000) {
-    const chunk = clean.slice(i, i + 1000);
-    try {
-      await s3.send(new DeleteObjectsCommand({
-        Bucket: BUCKET,
-        Delete: { Objects: chunk.map((Key) => ({ Key })), Quiet: true },
-      }));
-      deleted += chunk.length;
-    } catch (e) {
-      console.error('[chat] deleteMediaKeys failed for chunk:', e.name, e.message);
-    }
-  }
-  return { deleted };
-}
-
-// In-memory кэш presigned URL: key → { url, expiresAt }
-// Ограничен по размеру, иначе Map растёт неограниченно при долгой работе процесса.
-const presignedUrlCache = new Map();
-const PRESIGNED_CACHE_MAX = 5000;
-
-// Генерация presigned URL для S3 с кэшированием
-async function getPhotoUrl(key) {
-  if (!key) return null;
-
-  const cached = presignedUrlCache.get(key);
-  if (cached && cached.expiresAt > Date.now()) {
-    return cached.url;
-  }
-
-  try {
-    const cmd = new GetObjectCommand({ Bucket: BUCKET, Key: key });
-    const url = await getSignedUrl(s3, cmd, { expiresIn: PRESIGNED_TTL_SEC });
-    // Простая LRU-эвикция: при переполнении удаляем самый старый ключ (первый в Map).
-    // Просроченную запись перезаписываем — Map.set обновит позицию вставки.
-    if (presignedUrlCache.size >= PRESIGNED_CACHE_MAX && !presignedUrlCache.has(key)) {
-      presignedUrlCache.delete(presignedUrlCache.keys().next().value);
-    }
-    presignedUrlCache.set(key, { url, expiresAt: Date.now() + PRESIGNED_CACHE_TTL_MS });
-    return url;
-  } catch (e) {
-    console.error('[chat] getPhotoUrl error:', e);
-    return null;
-  }
-}
 
 // Получить userId из запроса
 function getReqUserId(req) {
@@ -107,10 +85,82 @@ function getReqUserId(req) {
   );
 }
 
+// Состояние «без звука» для клиента: mutedUntil = null при isMuted — навсегда
+function muteState(conversation, userId) {
+  const mute = getActiveMute(conversation, userId);
+  return { isMuted: !!mute, mutedUntil: mute?.until || null };
+}
+
+// Выражение агрегации по inbox: непрочитанные строки; чат, вручную
+// помеченный непрочитанным, считается минимум за 1
+const INBOX_UNREAD_EXPR = { $max: ['$unread', { $cond: ['$markedUnread', 1, 0] }] };
+
+// Шапка группы для клиента: аватар — presigned URL из S3 ключа
+async function toClientGroup({ title, avatarKey, memberCount }) {
+  return {
+    title: title || null,
+    avatarUrl: avatarKey ? await getPhotoUrl(avatarKey) : null,
+    memberCount,
+  };
+}
+
+// Строка списка чатов от лица userId (GET /chats и GET /chats/sync).
+// conv — lean-документ: после .lean() Map unreadCount — обычный объект.
+// Для группы otherUser — null, вместо него group (toClientGroup).
+function toClientConversation(conv, userId, otherUser, group = null) {
+  const uid = userId.toString();
+  const isPinned = conv.isPinned !== undefined
+    ? !!conv.isPinned
+    : (conv.pinnedBy || []).some((id) => id.toString() === uid);
+  return {
+    _id: conv._id,
+    type: conv.type || 'direct',
+    isPrivate: conv.isPrivate || false,
+    isPinned,
+    isArchived: (conv.archivedBy || []).some((id) => id.toString() === uid),
+    ...muteState(conv, userId),
+    status: conv.status || 'active',
+    disappearingTimer: conv.disappearingTimer || 'off',
+    initiatorId: conv.initiatorId ? String(conv.initiatorId) : null,
+    otherUser,
+    group,
+    lastMessage: conv.lastMessage,
+    unreadCount: conv.unreadCount?.[uid] || 0,
+    markedUnread: (conv.markedUnreadBy || []).some((id) => id.toString() === uid),
+    updatedAt: conv.updatedAt,
+  };
+}
+
+// Строка списка чатов из inbox (GET /chats) — тот же формат, что и
+// toClientConversation
+function toClientInboxEntry(entry, otherUser, group = null) {
+  return {
+    _id: entry.conversationId,
+    type: entry.type || 'direct',
+    isPrivate: entry.isPrivate,
+    isPinned: entry.pinned,
+    isArchived: entry.archived,
+    ...inboxMuteState(entry),
+    status: entry.status,
+    disappearingTimer: entry.disappearingTimer,
+    initiatorId: entry.initiatorId ? String(entry.initiatorId) : null,
+    otherUser,
+    group,
+    lastMessage: entry.lastMessage,
+    unreadCount: entry.unread,
+    markedUnread: entry.markedUnread,
+    updatedAt: entry.sortKey,
+  };
+}
+
 /**
  * GET /chats - Получить список чатов пользователя (с пагинацией)
+ * ?folder=archived — архив вместо основного списка
+ * ?folderId= — чаты пользовательской папки (архивные в ней тоже видны)
+ * ?includeArchived=true — totalUnreadCount с учётом архивных чатов
  */
 async function getConversations(req, res) {
+  const startedAt = Date.now();
   try {
     const userId = getReqUserId(req);
 
@@ -122,135 +172,390 @@ async function getConversations(req, res) {
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
     const skip = (page - 1) * limit;
+    const { folder } = req.query;
+    if (folder !== undefined && folder !== 'archived') {
+      return res.status(400).json({ message: 'Invalid folder' });
+    }
+    const isArchiveView = folder === 'archived';
+    const includeArchived = req.query.includeArchived === 'true';
+
+    const { folderId } = req.query;
+    let chatFolder = null;
+    if (folderId !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(String(folderId))) {
+        return res.status(400).json({ message: 'Invalid folder id' });
+      }
+      chatFolder = await ChatFolder.findOne({ _id: new mongoose.Types.ObjectId(folderId), userId: userObjectId })
+        .select('conversationIds')
+        .lean();
+      if (!chatFolder) {
+        return res.status(404).json({ message: 'Folder not found' });
+      }
+    }
+
+    // Какие строки inbox в выборке: папка — её состав; иначе архив или
+    // основной список (архив — отдельный список: в основном архивных нет, и
+    // наоборот). listed: false — чат удалён пользователем или это входящий
+    // приватный запрос (он приходит отдельной модалкой); исходящие pending
+    // показываем как «ожидает».
+    const listMatch = chatFolder
+      ? { conversationId: { $in: chatFolder.conversationIds } }
+      : { archived: isArchiveView };
 
-    // Получаем чаты пользователя с пагинацией (исключая soft-deleted)
+    // Один диапазонный запрос по индексу inbox, закреплённые первыми.
     // Запрашиваем на 1 больше чтобы определить hasMore без COUNT запроса.
-    // Входящие приватные ЗАПРОСЫ (pending, инициированы собеседником) в списке
-    // не показываем — они приходят получателю отдельной модалкой-запросом.
-    // Исходящие pending (инициатор — я) показываем как «ожидает».
-    // Закреплённые идут первыми: isPinned вычисляем на стороне Mongo, иначе при
-    // пагинации закреплённый чат с дальней страницы не попал бы наверх списка.
-    const conversations = await Conversation.aggregate([
-      {
-        $match: {
-          participants: userObjectId,
-          deletedFor: { $ne: userObjectId },
-          $or: [
-            { status: { $ne: 'pending' } },
-            { initiatorId: userObjectId },
-          ],
-        },
-      },
-      { $addFields: { isPinned: { $in: [userObjectId, { $ifNull: ['$pinnedBy', []] }] } } },
-      { $sort: { isPinned: -1, updatedAt: -1 } },
-      { $skip: skip },
-      { $limit: limit + 1 },
-    ]);
+    const entries = await InboxEntry.find({ userId: userObjectId, listed: true, ...listMatch })
+      .sort({ pinned: -1, sortKey: -1 })
+      .skip(skip)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = entries.length > limit;
+    const pageEntries = hasMore ? entries.slice(0, limit) : entries;
 
-    const hasMore = conversations.length > limit;
-    const pageConversations = hasMore ? conversations.slice(0, limit) : conversations;
-
-    // Суммируем непрочитанные по ВСЕМ чатам через агрегацию на стороне Mongo,
-    // а не загрузкой всех документов в Node (раньше .find() тянул unreadCount всех
-    // бесед юзера и суммировал в JS — тяжело при сотнях чатов). $getField достаёт
-    // значение из Map unreadCount по динамическому ключу userId. Выполняем
-    // параллельно с обогащением страницы, чтобы не добавлять задержку.
-    const userIdStr = userId.toString();
-    const totalUnreadPromise = Conversation.aggregate([
-      { $match: { participants: userObjectId, deletedFor: { $ne: userObjectId } } },
+    // Суммируем непрочитанные по ВСЕМ чатам на стороне Mongo — параллельно с
+    // обогащением страницы. Архивные считаем отдельно: в общий бейдж они входят
+    // только по includeArchived, а archivedUnreadCount нужен для строки «Архив».
+    const totalUnreadPromise = InboxEntry.aggregate([
+      { $match: { userId: userObjectId, listed: true } },
       {
         $group: {
-          _id: null,
-          total: {
-            $sum: {
-              $ifNull: [
-                { $getField: { field: { $literal: userIdStr }, input: '$unreadCount' } },
-                0,
-              ],
-            },
-          },
+          _id: '$archived',
+          unread: { $sum: INBOX_UNREAD_EXPR },
         },
       },
-    ]).then(rows => rows[0]?.total || 0);
-
-    // Обогащаем данными о собеседнике
-    const enrichedConversations = await Promise.all(
-      pageConversations.map(async (conv) => {
-        // Находим собеседника (другого участника)
-        const otherParticipantId = conv.participants.find(
-          (p) => p.toString() !== userId.toString()
-        );
-
-        let otherUser = null;
-        let photoUrl = null;
-        if (otherParticipantId) {
-          otherUser = await User.findById(otherParticipantId)
-            .select('name age userPhoto isOnline lastSeen city userLocation')
-            .lean();
-
-          // Получаем presigned URL для фото
-          if (otherUser?.userPhoto?.[0]) {
-            const rawPhoto = otherUser.userPhoto[0];
-            const photoKey = typeof rawPhoto === 'object' ? rawPhoto.key : rawPhoto;
-            const directUrl = typeof rawPhoto === 'object' ? rawPhoto.url : null;
-            // Если key есть — генерируем presigned S3 URL, иначе используем прямой URL
-            photoUrl = photoKey ? await getPhotoUrl(photoKey) : (directUrl || null);
-          } else {
-            console.log('[chat] getConversations: no userPhoto for user', otherParticipantId,
-              'userPhoto array:', JSON.stringify(otherUser?.userPhoto));
-          }
-        }
-
-        // Получаем количество непрочитанных для текущего пользователя
-        // После .lean() Map превращается в обычный объект
-        const unreadCount = conv.unreadCount?.[userId.toString()] || 0;
+    ]).then(rows => ({
+      main: rows.find((r) => r._id === false)?.unread || 0,
+      archived: rows.find((r) => r._id === true)?.unread || 0,
+    }));
 
-        return {
-          _id: conv._id,
-          isPrivate: conv.isPrivate || false,
-          isPinned: !!conv.isPinned,
-          status: conv.status || 'active',
-          initiatorId: conv.initiatorId ? String(conv.initiatorId) : null,
-          otherUser: otherUser ? {
-            _id: otherUser._id,
-            name: otherUser.name,
-            age: otherUser.age,
-            photo: photoUrl,
-            city: otherUser.city || otherUser.userLocation || null,
-            isOnline: otherUser.isOnline || false,
-            lastSeen: otherUser.lastSeen,
-          } : null,
-          lastMessage: conv.lastMessage,
-          unreadCount,
-          updatedAt: conv.updatedAt,
-        };
-      })
-    );
+    // Карточки собеседников — один $in-запрос на страницу (статичная часть
+    // из кэша), а не findById на каждую строку
+    const cards = await getUserCards(pageEntries.map((entry) => entry.otherUserId));
 
-    // Filter out conversations where the other user has been deleted
-    const validConversations = enrichedConversations.filter(c => c.otherUser !== null);
+    // Чаты, где собеседник удалён (карточки нет), не показываем
+    const validConversations = [];
+    for (const entry of pageEntries) {
+      if (entry.type === 'group') {
+        validConversations.push(toClientInboxEntry(entry, null, await toClientGroup(entry)));
+        continue;
+      }
+      const otherUser = entry.otherUserId ? cards.get(String(entry.otherUserId)) : null;
+      if (otherUser) validConversations.push(toClientInboxEntry(entry, otherUser));
+    }
 
-    const totalUnreadCount = await totalUnreadPromise;
+    const unread = await totalUnreadPromise;
+    const totalUnreadCount = unread.main + (includeArchived ? unread.archived : 0);
 
-    console.log(`[chat] getConversations for user ${userId}: page=${page} found ${validConversations.length} hasMore=${hasMore} totalUnread=${totalUnreadCount}`);
+    console.log(`[chat] getConversations for user ${userId}: folder=${folderId || folder || 'main'} page=${page} found ${validConversations.length} hasMore=${hasMore} totalUnread=${totalUnreadCount} in ${Date.now() - startedAt}ms`);
 
-    return res.json({ conversations: validConversations, hasMore, page, totalUnreadCount });
+    return res.json({
+      conversations: validConversations,
+      hasMore,
+      page,
+      totalUnreadCount,
+      archivedUnreadCount: unread.archived,
+    });
   } catch (e) {
     console.error('[chat] getConversations error:', e);
     return res.status(500).json({ message: 'Server error' });
   }
 }
 
+// Готовит сообщение из БД к отдаче клиенту: для голосовых и фото (и миниатюры
+// в превью ответа) регенерируем presigned URL из S3 ключа (URL из DB может
+// устареть), сырые reactions заменяем агрегированной сводкой (счётчики + моя реакция).
+async function toClientMessage({ reactions, ...rest }, userId) {
+  const msg = {
+    ...rest,
+    ...summarizeReactions({ reactions, heartedBy: rest.heartedBy }, userId),
+    replyTo: await toClientReplyTo(rest.replyTo),
+  };
+  if (msg.messageType === 'voice' && msg.voiceKey) {
+    const freshUrl = await getPhotoUrl(msg.voiceKey);
+    return { ...msg, voiceUrl: freshUrl || msg.voiceUrl };
+  }
+  if (msg.messageType === 'image' && msg.photoKey) {
+    const freshUrl = await getPhotoUrl(msg.photoKey);
+    return { ...msg, photoUrl: freshUrl || msg.photoUrl };
+  }
+  return msg;
+}
+
+const OBJECT_ID_RE = /^[0-9a-fA-F]{24}$/;
+
+// Курсор пагинации сообщений: id сообщения этой беседы или метка времени
+// (ms или ISO). Возвращает { createdAt, _id } (_id = null для метки времени)
+// либо null, если курсор не распознан / сообщение не из этой беседы.
+async function resolveMessageCursor(value, conversationId) {
+  const raw = String(value);
+  if (OBJECT_ID_RE.test(raw)) {
+    const msg = await Message.findOne({ _id: raw, conversationId }).select('createdAt').lean();
+    return msg ? { createdAt: msg.createdAt, _id: msg._id } : null;
+  }
+  const date = /^\d+$/.test(raw) ? new Date(Number(raw)) : new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : { createdAt: date, _id: null };
+}
+
+// Условия «строго старше / строго новее курсора». Порядок — (createdAt, _id):
+// у сообщений одной миллисекунды _id разводит ничьи, так что страницы не
+// пересекаются и не теряют сообщения.
+function olderThanCursor(cursor) {
+  if (!cursor._id) return { createdAt: { $lt: cursor.createdAt } };
+  return {
+    $or: [
+      { createdAt: { $lt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+    ],
+  };
+}
+
+function newerThanCursor(cursor) {
+  if (!cursor._id) return { createdAt: { $gt: cursor.createdAt } };
+  return {
+    $or: [
+      { createdAt: { $gt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $gt: cursor._id } },
+    ],
+  };
+}
+
+// Курсор синхронизации: «changedAt(ms):_id» последней отданной беседы
+const SYNC_TOKEN_RE = /^(\d{1,15}):([0-9a-fA-F]{24})$/;
+const SYNC_PAGE_SIZE = 200;
+// Отдаём только изменения старше этого: апдейт, получивший changedAt, но ещё
+// не записанный к моменту запроса, иначе оказался бы позади выданного токена
+const SYNC_SETTLE_MS = 2000;
+
+/**
+ * GET /chats/sync?since=<token> - Дельта списка чатов для локальной БД клиента
+ * Без since — полная выгрузка. Ответ: changed (строки как в GET /chats),
+ * removed (id чатов, удалённых или скрытых у пользователя), nextToken,
+ * hasMore (повторить запрос с nextToken сразу). resyncRequired — токен старше
+ * хранения следов удаления: клиенту нужна полная выгрузка.
+ */
+async function syncConversations(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { since } = req.query;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    let sinceMs = 0;
+    let sinceId = '000000000000000000000000';
+    if (since !== undefined) {
+      const match = SYNC_TOKEN_RE.exec(String(since));
+      if (!match) {
+        return res.status(400).json({ message: 'Invalid sync token', code: 'INVALID_SYNC_TOKEN' });
+      }
+      sinceMs = Number(match[1]);
+      sinceId = match[2];
+      if (sinceMs < Date.now() - ConversationTombstone.TOMBSTONE_TTL_SEC * 1000) {
+        return res.json({ resyncRequired: true, changed: [], removed: [], nextToken: null, hasMore: false });
+      }
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const sinceDate = new Date(sinceMs);
+    const cutoff = new Date(Date.now() - SYNC_SETTLE_MS);
+
+    const rows = await Conversation.find({
+      participants: userObjectId,
+      changedAt: { $lte: cutoff },
+      $or: [
+        { changedAt: { $gt: sinceDate } },
+        { changedAt: sinceDate, _id: { $gt: new mongoose.Types.ObjectId(sinceId) } },
+      ],
+    })
+      .sort({ changedAt: 1, _id: 1 })
+      .limit(SYNC_PAGE_SIZE + 1)
+      .lean();
+
+    const hasMore = rows.length > SYNC_PAGE_SIZE;
+    const pageRows = hasMore ? rows.slice(0, SYNC_PAGE_SIZE) : rows;
+    // Верхняя граница страницы: для неполной выгрузки — последняя строка,
+    // иначе cutoff (id из одних f — «все беседы с этим changedAt уже отданы»)
+    const last = pageRows[pageRows.length - 1];
+    const nextToken = hasMore
+      ? `${last.changedAt.getTime()}:${last._id}`
+      : `${Math.max(cutoff.getTime(), sinceMs)}:ffffffffffffffffffffffff`;
+    const upperBound = hasMore ? last.changedAt : cutoff;
+
+    // Скрытые у пользователя (soft-delete) и входящие приватные запросы
+    // (их клиент показывает отдельно, как и GET /chats) — не строки списка
+    const isHidden = (c) => (c.deletedFor || []).some((id) => id.toString() === String(userId))
+      || (c.status === 'pending' && String(c.initiatorId) !== String(userId));
+    const visible = pageRows.filter((c) => !isHidden(c));
+    const removed = pageRows.filter(isHidden).map((c) => String(c._id));
+
+    // Следы жёстко удалённых бесед (только для дельты — при полной выгрузке
+    // клиенту нечего удалять)
+    if (since !== undefined) {
+      const tombstones = await ConversationTombstone.find({
+        participants: userObjectId,
+        deletedAt: { $gt: sinceDate, $lte: upperBound },
+      }).select('conversationId').lean();
+      tombstones.forEach((t) => removed.push(String(t.conversationId)));
+    }
+
+    // Карточки собеседников одним запросом, а не по запросу на строку
+    const otherIds = [...new Set(visible
+      .filter((c) => c.type !== 'group')
+      .map((c) => c.participants.find((p) => p.toString() !== String(userId)))
+      .filter(Boolean)
+      .map(String))];
+    const cards = await getUserCards(otherIds);
+
+    const changed = [];
+    for (const c of visible) {
+      if (c.type === 'group') {
+        const group = await toClientGroup({ ...c, memberCount: c.participants.length });
+        changed.push(toClientConversation(c, userId, null, group));
+        continue;
+      }
+      const otherId = c.participants.find((p) => p.toString() !== String(userId));
+      const card = otherId ? cards.get(String(otherId)) : null;
+      // Собеседник удалён — для клиента чат исчез
+      if (!card) {
+        removed.push(String(c._id));
+        continue;
+      }
+      changed.push(toClientConversation(c, userId, card));
+    }
+
+    // След выхода из группы у пользователя, которого потом добавили обратно, —
+    // беседа снова его: отдаём её только в changed
+    const changedIds = new Set(changed.map((c) => String(c._id)));
+    const removedIds = [...new Set(removed)].filter((id) => !changedIds.has(id));
+
+    console.log(`[chat] syncConversations for user ${userId}: since=${since || 'full'} changed=${changed.length} removed=${removedIds.length} hasMore=${hasMore}`);
+
+    return res.json({ resyncRequired: false, changed, removed: removedIds, nextToken, hasMore });
+  } catch (e) {
+    console.error('[chat] syncConversations error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// Страница сообщений беседы для GET /chats/:recipientId/messages и
+// GET /chats/groups/:conversationId/messages (режимы курсора — см. getMessages).
+// Параметры уже проверены вызывающим, кроме самих курсоров.
+async function respondWithMessages(res, conversation, userId, { before, after, around, page, limit }) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const skip = (page - 1) * limit;
+
+  // Видимые сообщения (исключаем удалённые для текущего юзера)
+  const visible = {
+    conversationId: conversation._id,
+    deletedForAll: { $ne: true },
+    deletedFor: { $nin: [userObjectId] },
+  };
+  const fetchOlder = (cursor, n) => Message.find({ ...visible, ...olderThanCursor(cursor) })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(n + 1)
+    .lean();
+  const fetchNewer = (cursor, n) => Message.find({ ...visible, ...newerThanCursor(cursor) })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(n + 1)
+    .lean();
+
+  // Сообщения в хронологическом порядке
+  let rawMessages;
+  let hasMore;
+  let hasNewer;
+
+  if (around) {
+    if (!OBJECT_ID_RE.test(String(around))) {
+      return res.status(400).json({ message: 'Invalid cursor', code: 'INVALID_CURSOR' });
+    }
+    const target = await Message.findOne({ ...visible, _id: around }).lean();
+    if (!target) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    const cursor = { createdAt: target.createdAt, _id: target._id };
+    const olderCount = Math.floor((limit - 1) / 2);
+    const newerCount = limit - 1 - olderCount;
+    const [older, newer] = await Promise.all([
+      fetchOlder(cursor, olderCount),
+      fetchNewer(cursor, newerCount),
+    ]);
+    hasMore = older.length > olderCount;
+    hasNewer = newer.length > newerCount;
+    rawMessages = [
+      ...older.slice(0, olderCount).reverse(),
+      target,
+      ...newer.slice(0, newerCount),
+    ];
+  } else if (before || after) {
+    const cursor = await resolveMessageCursor(before || after, conversation._id);
+    if (!cursor) {
+      return res.status(400).json({ message: 'Invalid cursor', code: 'INVALID_CURSOR' });
+    }
+    // Сообщение-курсор само лежит по «ту сторону» страницы
+    const beyondCursor = Boolean(cursor._id);
+    if (before) {
+      const [older, newerExists] = await Promise.all([
+        fetchOlder(cursor, limit),
+        beyondCursor || Message.exists({ ...visible, ...newerThanCursor(cursor) }),
+      ]);
+      hasMore = older.length > limit;
+      hasNewer = Boolean(newerExists);
+      rawMessages = older.slice(0, limit).reverse();
+    } else {
+      const [newer, olderExists] = await Promise.all([
+        fetchNewer(cursor, limit),
+        beyondCursor || Message.exists({ ...visible, ...olderThanCursor(cursor) }),
+      ]);
+      hasNewer = newer.length > limit;
+      hasMore = Boolean(olderExists);
+      rawMessages = newer.slice(0, limit);
+    }
+  } else {
+    const messages = await Message.find(visible)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit + 1)
+      .lean();
+    hasMore = messages.length > limit;
+    hasNewer = page > 1;
+    // Разворачиваем для хронологического порядка
+    rawMessages = (hasMore ? messages.slice(0, limit) : messages).reverse();
+  }
+
+  const messagesToReturn = await Promise.all(
+    rawMessages.map((msg) => toClientMessage(msg, userId))
+  );
+
+  console.log(`[chat] getMessages for conversation ${conversation._id}: found ${messagesToReturn.length}`);
+
+  return res.json({
+    messages: messagesToReturn,
+    conversationId: conversation._id,
+    page,
+    hasMore,
+    hasNewer,
+  });
+}
+
 /**
  * GET /chats/:recipientId/messages - Получить сообщения чата
+ *
+ * Режимы (взаимоисключающие):
+ *   ?before=<messageId|timestamp> — более старые сообщения (скролл вверх)
+ *   ?after=<messageId|timestamp>  — более новые (догрузка после разрыва)
+ *   ?around=<messageId>           — окно вокруг сообщения (переход к ответу/поиску)
+ *   без курсора                   — последние сообщения (?page — легаси skip-пагинация)
+ * hasMore — есть более старые, hasNewer — есть более новые.
  */
 async function getMessages(req, res) {
   try {
     const userId = getReqUserId(req);
     const { recipientId } = req.params;
+    const { before, after, around } = req.query;
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 30));
-    const skip = (page - 1) * limit;
     // Различаем обычный и приватный чат — у одних участников может быть оба типа
     const isPrivate = req.query.private === 'true';
 
@@ -262,12 +567,17 @@ async function getMessages(req, res) {
       return res.status(400).json({ message: 'Invalid recipient id' });
     }
 
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({ message: 'Use only one of before, after, around', code: 'INVALID_CURSOR' });
+    }
+
     const userObjectId = new mongoose.Types.ObjectId(userId);
     const recipientObjectId = new mongoose.Types.ObjectId(recipientId);
 
     // Ищем беседу с учётом типа (приватная / обычная)
     let conversation = await Conversation.findOne({
       participants: { $all: [userObjectId, recipientObjectId] },
+      type: { $ne: 'group' },
       isPrivate,
     });
 
@@ -278,12 +588,92 @@ async function getMessages(req, res) {
         conversationId: null,
         page,
         hasMore: false,
+        hasNewer: false,
       });
     }
 
-    // Получаем сообщения (исключаем удалённые для текущего юзера)
-    const messages = await Message.find({
-      conversationId: conversation._id,
+    return await respondWithMessages(res, conversation, userId, { before, after, around, page, limit });
+  } catch (e) {
+    console.error('[chat] getMessages error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// Ограничения поискового запроса: короче 2 символов — шум, длиннее — абьюз
+const SEARCH_QUERY_MIN = 2;
+const SEARCH_QUERY_MAX = 100;
+
+/**
+ * GET /chats/search?q= - Поиск по сообщениям во всех чатах пользователя
+ * GET /chats/:recipientId/messages/search?q= - Поиск в одном чате
+ *
+ * Только обычные чаты: в приватных (E2E) text — шифртекст, сервер искать в
+ * нём не может и не должен. Учитывает удалённое у меня / у всех и блокировки.
+ */
+async function searchMessages(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { recipientId } = req.params;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const skip = (page - 1) * limit;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (recipientId !== undefined && !mongoose.Types.ObjectId.isValid(String(recipientId))) {
+      return res.status(400).json({ message: 'Invalid recipient id' });
+    }
+    if (q.length < SEARCH_QUERY_MIN || q.length > SEARCH_QUERY_MAX) {
+      return res.status(400).json({
+        message: `Search query must be ${SEARCH_QUERY_MIN}-${SEARCH_QUERY_MAX} characters`,
+        code: 'INVALID_QUERY',
+      });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+
+    const conversations = await Conversation.find({
+      participants: recipientId
+        ? { $all: [userObjectId, new mongoose.Types.ObjectId(recipientId)] }
+        : userObjectId,
+      type: { $ne: 'group' },
+      isPrivate: { $ne: true },
+      deletedFor: { $ne: userObjectId },
+    }).select('participants').lean();
+
+    // Собеседник каждого чата
+    const counterpartByConv = new Map();
+    conversations.forEach((conv) => {
+      const otherId = conv.participants.find((p) => p.toString() !== userId.toString());
+      if (otherId) counterpartByConv.set(conv._id.toString(), otherId.toString());
+    });
+
+    // Блокировки в обе стороны: чаты с такими собеседниками в поиск не попадают
+    const counterpartIds = [...new Set(counterpartByConv.values())];
+    const [me, blockedMe] = await Promise.all([
+      User.findById(userObjectId).select('blockedUsers').lean(),
+      User.find({ _id: { $in: counterpartIds }, blockedUsers: userObjectId }).select('_id').lean(),
+    ]);
+    const blocked = new Set([
+      ...(me?.blockedUsers || []).map(String),
+      ...blockedMe.map((u) => String(u._id)),
+    ]);
+    const searchableConvIds = [...counterpartByConv.entries()]
+      .filter(([, otherId]) => !blocked.has(otherId))
+      .map(([convId]) => new mongoose.Types.ObjectId(convId));
+
+    if (searchableConvIds.length === 0) {
+      return res.json({ results: [], page, hasMore: false });
+    }
+
+    // nonce: null — на случай зашифрованного текста и в обычном чате
+    const found = await Message.find({
+      conversationId: { $in: searchableConvIds },
+      $text: { $search: q },
+      messageType: 'text',
+      nonce: null,
       deletedForAll: { $ne: true },
       deletedFor: { $nin: [userObjectId] },
     })
@@ -292,309 +682,287 @@ async function getMessages(req, res) {
       .limit(limit + 1)
       .lean();
 
-    const hasMore = messages.length > limit;
-    const rawMessages = hasMore ? messages.slice(0, limit) : messages;
+    const hasMore = found.length > limit;
+    const pageMessages = hasMore ? found.slice(0, limit) : found;
 
-    // Для голосовых и фото сообщений регенерируем presigned URL из S3 ключа (URL из DB может устареть)
-    const messagesToReturn = await Promise.all(
-      rawMessages.map(async (msg) => {
-        if (msg.messageType === 'voice' && msg.voiceKey) {
-          const freshUrl = await getPhotoUrl(msg.voiceKey);
-          return { ...msg, voiceUrl: freshUrl || msg.voiceUrl };
-        }
-        if (msg.messageType === 'image' && msg.photoKey) {
-          const freshUrl = await getPhotoUrl(msg.photoKey);
-          return { ...msg, photoUrl: freshUrl || msg.photoUrl };
-        }
-        return msg;
-      })
-    );
+    // Карточки собеседников одним запросом, а не по запросу на строку
+    const resultUserIds = [...new Set(pageMessages.map((m) => counterpartByConv.get(String(m.conversationId))))];
+    const cards = await getUserCards(resultUserIds);
 
-    // Разворачиваем для хронологического порядка
-    messagesToReturn.reverse();
+    const results = await Promise.all(pageMessages.map(async (msg) => ({
+      conversationId: msg.conversationId,
+      otherUser: cards.get(counterpartByConv.get(String(msg.conversationId))) || null,
+      message: await toClientMessage(msg, userId),
+    })));
 
-    console.log(`[chat] getMessages for conversation ${conversation._id}: found ${messagesToReturn.length}`);
+    console.log(`[chat] searchMessages for user ${userId}${recipientId ? ` with ${recipientId}` : ''}: found ${results.length} hasMore=${hasMore}`);
 
-    return res.json({
-      messages: messagesToReturn,
-      conversationId: conversation._id,
-      page,
-      hasMore,
-    });
+    return res.json({ results: results.filter((r) => r.otherUser !== null), page, hasMore });
   } catch (e) {
-    console.error('[chat] getMessages error:', e);
+    console.error('[chat] searchMessages error:', e);
     return res.status(500).json({ message: 'Server error' });
   }
 }
 
 /**
  * POST /chats/:recipientId/messages - Отправить сообщение
+ *
+ * Идемпотентность: clientMessageId в теле (или заголовок Idempotency-Key),
+ * уникальный в рамках отправителя. Повтор запроса с тем же ключом вернёт уже
+ * созданное сообщение с 200 — без второй записи, сокет-события и push.
+ * Сам конвейер — в services/messageService (общий с сокетом message:send).
  */
 async function sendMessage(req, res) {
+  try {
+    const result = await sendChatMessage({
+      senderId: getReqUserId(req),
+      recipientId: req.params.recipientId,
+      payload: req.body,
+      clientMessageId: req.body.clientMessageId || req.get('Idempotency-Key') || null,
+    });
+    return res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error('[chat] sendMessage error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Отложенные сообщения: отправляет src/scheduledMessageWorker.js
+// ─────────────────────────────────────────────────────────────────────────
+
+function toClientScheduled(doc) {
+  return {
+    _id: doc._id,
+    recipientId: doc.recipientId,
+    payload: doc.payload,
+    sendAt: doc.sendAt,
+    status: doc.status,
+    lastError: doc.lastError?.code ? doc.lastError : null,
+    messageId: doc.messageId || null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+// sendAt должен быть в будущем и не дальше SCHEDULE_MAX_AHEAD_MS
+function checkSendAt(sendAt) {
+  const ts = new Date(sendAt).getTime();
+  if (Number.isNaN(ts) || ts <= Date.now()) {
+    return { message: 'sendAt must be in the future', code: 'INVALID_SEND_AT' };
+  }
+  if (ts > Date.now() + SCHEDULE_MAX_AHEAD_MS) {
+    return { message: 'sendAt is too far in the future', code: 'INVALID_SEND_AT' };
+  }
+  return null;
+}
+
+/**
+ * POST /chats/:recipientId/messages/scheduled - Запланировать сообщение
+ * body: тело как у sendMessage + sendAt (ISO). Блокировки и премиум
+ * проверяются в момент отправки.
+ */
+async function scheduleMessage(req, res) {
   try {
     const userId = getReqUserId(req);
     const { recipientId } = req.params;
-    const { text, replyTo, messageType = 'text', voiceUrl, voiceKey, voiceDuration, voiceNonce = null, voiceWaveform = null, nonce = null, photoUrl, photoKey, photoNonce = null, sticker = null, isPrivate = false } = req.body;
 
     if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
       return res.status(401).json({ message: 'Unauthorized' });
     }
-
     if (!recipientId || !mongoose.Types.ObjectId.isValid(String(recipientId))) {
       return res.status(400).json({ message: 'Invalid recipient id' });
     }
+    if (String(recipientId) === String(userId)) {
+      return res.status(400).json({ message: 'Cannot message yourself' });
+    }
 
-    // Проверка контента в зависимости от типа сообщения
-    if (messageType === 'text') {
-      if (!text || typeof text !== 'string' || text.trim().length === 0) {
-        return res.status(400).json({ message: 'Message text is required' });
-      }
-    } else if (messageType === 'voice') {
-      if (!voiceUrl) {
-        return res.status(400).json({ message: 'Voice URL is required' });
-      }
-    } else if (messageType === 'image') {
-      if (!photoUrl) {
-        return res.status(400).json({ message: 'Photo URL is required' });
-      }
-    } else if (messageType === 'sticker') {
-      if (!sticker || typeof sticker !== 'string' || sticker.length > 64) {
-        return res.status(400).json({ message: 'Valid sticker id is required' });
-      }
+    // Нормализованное тело (дефолты + без лишних полей). clientMessageId не
+    // храним: при отправке воркер подставляет свой ключ от id задачи.
+    const { value } = schemas.scheduleMessage.validate(req.body, { stripUnknown: true });
+    const { sendAt, ...payload } = value;
+    delete payload.clientMessageId;
+
+    const sendAtError = checkSendAt(sendAt);
+    if (sendAtError) {
+      return res.status(400).json(sendAtError);
     }
 
     const userObjectId = new mongoose.Types.ObjectId(userId);
-    const recipientObjectId = new mongoose.Types.ObjectId(recipientId);
-    const messageText = text ? text.trim() : '';
-
-    // Блокировка: если получатель заблокировал отправителя (или наоборот) —
-    // сообщение не доставляем. Проверка на сервере, клиентский список — только UI.
-    const recipientDoc = await User.findById(recipientObjectId).select('blockedUsers').lean();
-    const senderBlockCheck = await User.findById(userObjectId).select('blockedUsers premium premiumUntil').lean();
-    const recipientBlockedSender = (recipientDoc?.blockedUsers || []).some(id => String(id) === String(userId));
-    const senderBlockedRecipient = (senderBlockCheck?.blockedUsers || []).some(id => String(id) === String(recipientId));
-    if (recipientBlockedSender || senderBlockedRecipient) {
-      return res.status(403).json({ message: 'Messaging is not available with this user', code: 'BLOCKED' });
-    }
-
-    // Не-премиум может отвечать только в чате, который уже существует
-    // (т.е. премиум-пользователь написал первым и открыл переписку)
-    const sender = senderBlockCheck;
-    const senderIsPremium = sender?.premium && (!sender.premiumUntil || sender.premiumUntil > new Date());
-    if (!senderIsPremium) {
-      const existingConv = await Conversation.findOne({
-        participants: { $all: [userObjectId, recipientObjectId] },
-      }).select('_id').lean();
-      if (!existingConv) {
-        return res.status(403).json({ message: 'Premium required to start a conversation', code: 'PREMIUM_REQUIRED' });
-      }
+    const pendingCount = await ScheduledMessage.countDocuments({ senderId: userObjectId, status: 'pending' });
+    if (pendingCount >= MAX_PENDING_SCHEDULED) {
+      return res.status(409).json({
+        message: `Scheduled messages limit reached: ${MAX_PENDING_SCHEDULED}`,
+        code: 'SCHEDULED_LIMIT_REACHED',
+        limit: MAX_PENDING_SCHEDULED,
+      });
     }
 
-    // Стикер-гейт: существование стикера + платные паки только премиуму.
-    // Проверка на сервере — клиентский замочек обходится. isPremiumActive
-    // (по premiumUntil) — источник правды, а не легаси-флаг sender.premium.
-    if (messageType === 'sticker') {
-      const pack = await StickerPack.findOne(
-        { 'stickers.id': sticker, published: true },
-        { isPremium: 1 }
-      ).lean();
-      if (!pack) {
-        return res.status(400).json({ message: 'Unknown sticker', code: 'UNKNOWN_STICKER' });
-      }
-      if (pack.isPremium && !isPremiumActive(sender)) {
-        return res.status(403).json({ message: 'Premium required for this sticker pack', code: 'PREMIUM_STICKER' });
-      }
-    }
+    const scheduled = await ScheduledMessage.create({
+      senderId: userObjectId,
+      recipientId: new mongoose.Types.ObjectId(recipientId),
+      payload,
+      sendAt: new Date(sendAt),
+    });
 
-    // Подготовка данных replyTo
-    let replyToData = null;
-    if (replyTo && replyTo._id && replyTo.text) {
-      replyToData = {
-        _id: new mongoose.Types.ObjectId(replyTo._id),
-        text: replyTo.text,
-        senderId: replyTo.senderId ? new mongoose.Types.ObjectId(replyTo.senderId) : null,
-      };
-    }
+    console.log(`[chat] Scheduled message ${scheduled._id} from ${userId} to ${recipientId} at ${scheduled.sendAt.toISOString()}`);
 
-    const isPrivateChat = isPrivate === true || isPrivate === 'true';
+    return res.status(201).json({ success: true, scheduled: toClientScheduled(scheduled) });
+  } catch (e) {
+    console.error('[chat] scheduleMessage error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
 
-    // Защита от plaintext в приватном чате: клиент ОБЯЗАН прислать nonce
-    // (зашифрованный payload). Иначе сбой шифрования на клиенте молча
-    // сохранил бы открытый текст на сервере и он утёк бы в push.
-    if (isPrivateChat) {
-      if (messageType === 'text' && !nonce) {
-        return res.status(400).json({ message: 'Encrypted payload required for private chat', code: 'E2E_REQUIRED' });
-      }
-      if (messageType === 'voice' && !voiceNonce) {
-        return res.status(400).json({ message: 'Encrypted payload required for private chat', code: 'E2E_REQUIRED' });
-      }
-      if (messageType === 'image' && !photoNonce) {
-        return res.status(400).json({ message: 'Encrypted payload required for private chat', code: 'E2E_REQUIRED' });
-      }
+/**
+ * GET /chats/scheduled - Ожидающие отправки сообщения автора
+ * ?recipientId= — только для одного чата
+ */
+async function getScheduledMessages(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { recipientId } = req.query;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (recipientId !== undefined && !mongoose.Types.ObjectId.isValid(String(recipientId))) {
+      return res.status(400).json({ message: 'Invalid recipient id' });
     }
 
-    // Ищем беседу с учётом типа (приватная / обычная)
-    let conversation = await Conversation.findOne({
-      participants: { $all: [userObjectId, recipientObjectId] },
-      isPrivate: isPrivateChat,
-    });
+    const filter = {
+      senderId: new mongoose.Types.ObjectId(userId),
+      status: { $in: ['pending', 'sending'] },
+    };
+    if (recipientId) filter.recipientId = new mongoose.Types.ObjectId(recipientId);
 
-    // Приватный чат нельзя использовать, пока получатель не принял запрос.
-    if (isPrivateChat && conversation && conversation.status === 'pending') {
-      return res.status(403).json({
-        message: 'Private chat request is not accepted yet',
-        code: 'PRIVATE_PENDING',
-      });
-    }
-    // Приватную беседу нельзя создать «на лету» отправкой сообщения — только
-    // через принятый запрос (request → accept). Без беседы писать нельзя.
-    if (isPrivateChat && !conversation) {
-      return res.status(403).json({
-        message: 'Private chat requires an accepted request',
-        code: 'PRIVATE_REQUEST_REQUIRED',
-      });
-    }
+    const scheduled = await ScheduledMessage.find(filter).sort({ sendAt: 1 }).lean();
 
-    // Текст для push-уведомления (сервер не может расшифровать E2E).
-    // Приватный чат: не раскрываем ни контент, ни тип сообщения.
-    const pushText = isPrivateChat
-      ? 'Новое сообщение'
-      : messageType === 'voice'
-        ? '🎤 Голосовое сообщение'
-        : messageType === 'image'
-          ? '📷 Фото'
-          : messageType === 'sticker'
-            ? '🎁 Стикер'
-            : (nonce ? 'Новое сообщение' : messageText);
-
-    // Данные для lastMessage: для E2E храним шифртекст + nonce, чтобы клиент мог расшифровать
-    const lastMessageData = {
-      text: messageType === 'voice' ? '🎤 Голосовое сообщение' : messageType === 'image' ? '📷 Фото' : messageType === 'sticker' ? '🎁 Стикер' : messageText,
-      nonce: messageType === 'text' ? (nonce || null) : null,
-      senderId: userObjectId,
-      createdAt: new Date(),
-      isRead: false,
-    };
+    return res.json({ scheduled: scheduled.map(toClientScheduled) });
+  } catch (e) {
+    console.error('[chat] getScheduledMessages error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
 
-    if (!conversation) {
-      // Беседа не найдена — создаём с нужным типом
-      conversation = await Conversation.create({
-        participants: [userObjectId, recipientObjectId],
-        isPrivate: isPrivate === true || isPrivate === 'true',
-        lastMessage: lastMessageData,
-        unreadCount: new Map(),
-      });
-      console.log(`[chat] Created new ${isPrivate ? 'private' : 'regular'} conversation ${conversation._id}`);
-    }
+/**
+ * PATCH /chats/scheduled/:scheduledId - Изменить текст и/или время отправки
+ * body: { text?, nonce?, sendAt? } — только пока сообщение ждёт отправки
+ */
+async function updateScheduledMessage(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { scheduledId } = req.params;
+    const { text, nonce, sendAt } = req.body;
 
-    // Создаём сообщение
-    const messageData = {
-      conversationId: conversation._id,
-      senderId: userObjectId,
-      receiverId: recipientObjectId,
-      messageType,
-      text: messageText,
-      nonce: nonce || null,
-      replyTo: replyToData,
-    };
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!scheduledId || !mongoose.Types.ObjectId.isValid(String(scheduledId))) {
+      return res.status(400).json({ message: 'Invalid scheduled message id' });
+    }
 
-    // Добавляем данные голосового сообщения
-    if (messageType === 'voice') {
-      messageData.voiceUrl = voiceUrl;
-      messageData.voiceKey = voiceKey || null;
-      messageData.voiceDuration = voiceDuration || 0;
-      messageData.voiceNonce = voiceNonce || null;
-      messageData.voiceWaveform = Array.isArray(voiceWaveform) ? voiceWaveform : null;
+    const scheduled = await ScheduledMessage.findOne({
+      _id: new mongoose.Types.ObjectId(scheduledId),
+      senderId: new mongoose.Types.ObjectId(userId),
+    }).lean();
+    if (!scheduled) {
+      return res.status(404).json({ message: 'Scheduled message not found' });
+    }
+    if (scheduled.status !== 'pending') {
+      return res.status(409).json({ message: 'Scheduled message is no longer pending', code: 'NOT_PENDING' });
     }
 
-    // Добавляем данные фото
-    if (messageType === 'image') {
-      messageData.photoUrl = photoUrl;
-      messageData.photoKey = photoKey || null;
-      messageData.photoNonce = photoNonce || null;
+    const update = { updatedAt: new Date() };
+    if (text !== undefined) {
+      if ((scheduled.payload?.messageType || 'text') !== 'text') {
+        return res.status(400).json({ message: 'Only text messages can be edited', code: 'NOT_EDITABLE' });
+      }
+      if (!text.trim()) {
+        return res.status(400).json({ message: 'Message text is required' });
+      }
+      // В приватном чате новый шифртекст обязан прийти со своим nonce
+      if (scheduled.payload?.isPrivate && !nonce) {
+        return res.status(400).json({ message: 'Encrypted payload required for private chat', code: 'E2E_REQUIRED' });
+      }
+      update['payload.text'] = text;
+      update['payload.nonce'] = nonce || null;
+    }
+    if (sendAt !== undefined) {
+      const sendAtError = checkSendAt(sendAt);
+      if (sendAtError) {
+        return res.status(400).json(sendAtError);
+      }
+      update.sendAt = new Date(sendAt);
     }
 
-    // Стикер — сохраняем id пресета
-    if (messageType === 'sticker') {
-      messageData.sticker = sticker;
+    // status: 'pending' в условии — воркер мог захватить сообщение, пока мы проверяли
+    const updated = await ScheduledMessage.findOneAndUpdate(
+      { _id: scheduled._id, status: 'pending' },
+      { $set: update },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      return res.status(409).json({ message: 'Scheduled message is no longer pending', code: 'NOT_PENDING' });
     }
 
-    const message = await Message.create(messageData);
+    return res.json({ success: true, scheduled: toClientScheduled(updated) });
+  } catch (e) {
+    console.error('[chat] updateScheduledMessage error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
 
-    // Обновляем беседу
-    const currentUnread = conversation.unreadCount?.get?.(recipientId.toString()) || 0;
-    await Conversation.findByIdAndUpdate(conversation._id, {
-      lastMessage: { ...lastMessageData, createdAt: message.createdAt },
-      [`unreadCount.${recipientId}`]: currentUnread + 1,
-      updatedAt: new Date(),
-    });
+/**
+ * DELETE /chats/scheduled/:scheduledId - Отменить отложенное сообщение
+ */
+async function cancelScheduledMessage(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { scheduledId } = req.params;
 
-    console.log(`[chat] ${messageType} message sent from ${userId} to ${recipientId}`);
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!scheduledId || !mongoose.Types.ObjectId.isValid(String(scheduledId))) {
+      return res.status(400).json({ message: 'Invalid scheduled message id' });
+    }
 
-    // Отправляем real-time уведомление через Socket.IO
-    const messagePayload = {
-      _id: message._id,
-      conversationId: conversation._id,
-      senderId: message.senderId,
-      receiverId: message.receiverId,
-      messageType: message.messageType,
-      text: message.text,
-      nonce: message.nonce || null,
-      voiceUrl: message.voiceUrl || null,
-      voiceDuration: message.voiceDuration || null,
-      voiceNonce: message.voiceNonce || null,
-      voiceWaveform: message.voiceWaveform || null,
-      photoUrl: message.photoUrl || null,
-      photoKey: message.photoKey || null,
-      photoNonce: message.photoNonce || null,
-      sticker: message.sticker || null,
-      replyTo: message.replyTo || null,
-      isRead: message.isRead,
-      createdAt: message.createdAt,
-      heartedBy: message.heartedBy || [],
+    const filter = {
+      _id: new mongoose.Types.ObjectId(scheduledId),
+      senderId: new mongoose.Types.ObjectId(userId),
     };
-    emitToUser(recipientId, 'new_message', {
-      message: messagePayload,
-      senderId: String(userId),
-    });
-
-    // Push-уведомление — через RabbitMQ (retry при ошибке FCM)
-    ;(async () => {
-      try {
-        const sender = await User.findById(userObjectId).select('name').lean();
-        await publishNotification({
-          userId: String(recipientId),
-          title: sender?.name || 'Пользователь',
-          body: pushText || 'Новое сообщение',
-          data: {
-            type: 'new_message',
-            conversationId: conversation._id?.toString() || '',
-            senderId: String(userId),
-            senderName: sender?.name || '',
-          },
-        });
-      } catch (err) {
-        console.error('[chat] Notification publish error:', err.message);
-      }
-    })();
+    const cancelled = await ScheduledMessage.findOneAndUpdate(
+      { ...filter, status: 'pending' },
+      { status: 'cancelled', updatedAt: new Date() },
+      { new: true }
+    ).lean();
+
+    if (!cancelled) {
+      const exists = await ScheduledMessage.exists(filter);
+      return exists
+        ? res.status(409).json({ message: 'Scheduled message is no longer pending', code: 'NOT_PENDING' })
+        : res.status(404).json({ message: 'Scheduled message not found' });
+    }
 
-    return res.status(201).json({
-      success: true,
-      message: messagePayload,
-    });
+    console.log(`[chat] Scheduled message ${scheduledId} cancelled by ${userId}`);
+    return res.json({ success: true, scheduledId: String(cancelled._id) });
   } catch (e) {
-    console.error('[chat] sendMessage error:', e);
+    console.error('[chat] cancelScheduledMessage error:', e);
     return res.status(500).json({ message: 'Server error' });
   }
 }
 
 /**
  * POST /chats/:conversationId/read - Отметить сообщения как прочитанные
+ * body: { lastReadMessageId? } — прочитано до этого сообщения включительно;
+ * без него — все входящие сообщения чата.
  */
 async function markAsRead(req, res) {
   try {
     const userId = getReqUserId(req);
     const { conversationId } = req.params;
+    const { lastReadMessageId = null } = req.body || {};
 
     if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
       return res.status(401).json({ message: 'Unauthorized' });
@@ -607,46 +975,150 @@ async function markAsRead(req, res) {
     const userObjectId = new mongoose.Types.ObjectId(userId);
     const convObjectId = new mongoose.Types.ObjectId(conversationId);
 
-    // Обновляем все непрочитанные сообщения
-    await Message.updateMany(
-      {
-        conversationId: convObjectId,
-        receiverId: userObjectId,
-        isRead: false,
-      },
-      {
-        isRead: true,
-        readAt: new Date(),
-      }
-    );
+    const incoming = {
+      conversationId: convObjectId,
+      receiverId: userObjectId,
+      deletedForAll: { $ne: true },
+    };
 
-    // Сбрасываем счётчик непрочитанных + отмечаем lastMessage как прочитанное
-    const conv = await Conversation.findByIdAndUpdate(
-      convObjectId,
-      {
-        [`unreadCount.${userId}`]: 0,
-        'lastMessage.isRead': true,
-      },
-      { new: false, select: 'participants' }
-    );
+    // Граница прочтения: указанное клиентом сообщение или последнее входящее
+    const lastRead = lastReadMessageId
+      ? await Message.findOne({ ...incoming, _id: lastReadMessageId }).select('_id createdAt').lean()
+      : await Message.findOne(incoming).sort({ createdAt: -1, _id: -1 }).select('_id createdAt').lean();
+    if (lastReadMessageId && !lastRead) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const readAt = new Date();
+    let readCount = 0;
+    if (lastRead) {
+      // Прочитанное заодно считается доставленным (если delivery_ack не дошёл)
+      const result = await Message.updateMany(
+        {
+          ...incoming,
+          isRead: false,
+          $or: [
+            { createdAt: { $lt: lastRead.createdAt } },
+            { createdAt: lastRead.createdAt, _id: { $lte: lastRead._id } },
+          ],
+        },
+        [{ $set: { isRead: true, readAt, deliveredAt: { $ifNull: ['$deliveredAt', readAt] } } }]
+      );
+      readCount = result.modifiedCount;
+    }
+
+    // Счётчик уменьшаем ровно на то, что прочитал этот запрос: входящее,
+    // пришедшее параллельно, останется в счётчике (раньше его затирал $set 0).
+    // Ручная пометка «непрочитано» снимается любым прочтением.
+    const extraSet = {
+      markedUnreadBy: { $setDifference: [{ $ifNull: ['$markedUnreadBy', []] }, [userObjectId]] },
+    };
+    if (lastRead) extraSet[`lastReadMessageId.${userId}`] = { $literal: lastRead._id };
+    const conv = await decrementUnread(convObjectId, userId, readCount, extraSet, {
+      select: 'participants markedUnreadBy unreadCount',
+    });
+    let remainingUnread = Math.max(0, (conv?.unreadCount?.get(String(userId)) || 0) - readCount);
+    // Прочитан весь чат, а счётчик не сошёлся в ноль — чиним по сообщениям
+    if (conv && !lastReadMessageId && remainingUnread > 0) {
+      remainingUnread = await settleUnreadAfterFullRead(convObjectId, userObjectId, remainingUnread);
+    }
+
+    // Другим устройствам пользователя — убрать точку
+    if ((conv?.markedUnreadBy || []).some((id) => id.toString() === userId.toString())) {
+      emitToUser(userId, 'conversation_marked_unread', { conversationId, markedUnread: false });
+    }
 
     console.log(`[chat] Marked messages as read for user ${userId} in conversation ${conversationId}`);
 
-    // Уведомляем отправителя о прочтении его сообщений (для голубых галочек)
-    if (conv?.participants) {
+    // Уведомляем отправителя о прочтении его сообщений (для голубых галочек):
+    // точное последнее прочитанное сообщение, а не флаг «весь чат прочитан»
+    if (conv?.participants && lastRead) {
       const senderId = conv.participants.find((p) => p.toString() !== userId.toString());
       if (senderId) {
-        emitToUser(senderId.toString(), 'messages_read', { conversationId });
+        emitToUser(senderId.toString(), 'messages_read', {
+          conversationId,
+          lastReadMessageId: String(lastRead._id),
+          readAt,
+        });
       }
     }
 
-    return res.json({ success: true });
+    return res.json({
+      success: true,
+      lastReadMessageId: lastRead ? String(lastRead._id) : null,
+      unreadCount: remainingUnread,
+    });
   } catch (e) {
     console.error('[chat] markAsRead error:', e);
     return res.status(500).json({ message: 'Server error' });
   }
 }
 
+/**
+ * POST /chats/unread/repair - Пересчитать счётчики непрочитанных пользователя
+ * из самих сообщений (бейдж разошёлся с перепиской)
+ * body: { conversationId? } — одна беседа; без него — все беседы пользователя
+ */
+async function repairUnread(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId = null } = req.body || {};
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (conversationId !== null && !mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const conversations = await Conversation.find({
+      participants: userObjectId,
+      ...(conversationId ? { _id: new mongoose.Types.ObjectId(conversationId) } : {}),
+    })
+      .select('_id participants unreadCount type lastReadMessageId')
+      .lean();
+    if (conversationId && conversations.length === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const fixed = await repairUnreadCounts(conversations, userId);
+
+    console.log(`[chat] repairUnread for user ${userId}: checked ${conversations.length} chats, fixed ${fixed.length}`);
+
+    return res.json({
+      success: true,
+      checked: conversations.length,
+      fixed: fixed.map(({ conversationId: id, before, after }) => ({ conversationId: id, before, unreadCount: after })),
+    });
+  } catch (e) {
+    console.error('[chat] repairUnread error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/messages/delivered - Подтвердить доставку сообщений
+ * body: { messageIds } — для фонового обработчика push (нет живого сокета)
+ */
+async function acknowledgeDelivery(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { messageIds } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const delivered = await markMessagesDelivered(userId, messageIds);
+
+    return res.json({ success: true, delivered });
+  } catch (e) {
+    console.error('[chat] acknowledgeDelivery error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
 /**
  * GET /chats/start/:recipientId - Начать/получить чат с пользователем
  * Используется при переходе из профиля в чат
@@ -678,6 +1150,7 @@ async function startConversation(req, res) {
     // Ищем существующую беседу (с учётом типа — приватная или обычная)
     let conversation = await Conversation.findOne({
       participants: { $all: [userObjectId, recipientObjectId] },
+      type: { $ne: 'group' },
       isPrivate,
     });
 
@@ -692,11 +1165,13 @@ async function startConversation(req, res) {
 
     // Если нет - создаём пустую (только обычные чаты)
     if (!conversation) {
-      conversation = await Conversation.create({
-        participants: [userObjectId, recipientObjectId],
-        isPrivate,
-      });
-      console.log(`[chat] Created new ${isPrivate ? 'private' : 'regular'} conversation ${conversation._id}`);
+      const { conversation: upserted, created } = await Conversation.findOrCreatePair(
+        userObjectId, recipientObjectId, isPrivate
+      );
+      conversation = upserted;
+      if (created) {
+        console.log(`[chat] Created new ${isPrivate ? 'private' : 'regular'} conversation ${conversation._id}`);
+      }
     } else if (conversation.deletedFor?.some(id => id.toString() === userId.toString())) {
       // Пользователь ранее удалил чат (переустановка) — восстанавливаем доступ
       await Conversation.updateOne(
@@ -704,6 +1179,7 @@ async function startConversation(req, res) {
         { $pull: { deletedFor: userObjectId } }
       );
       console.log(`[chat] Restored conversation ${conversation._id} for user ${userId}`);
+      await createSystemMessage({ conversation, actorId: userId, event: 'conversation_restored' });
     }
 
     // Получаем данные собеседника
@@ -724,6 +1200,8 @@ async function startConversation(req, res) {
       conversationId: conversation._id,
       isPrivate: conversation.isPrivate || false,
       status: conversation.status || 'active',
+      disappearingTimer: conversation.disappearingTimer || 'off',
+      ...muteState(conversation, userId),
       otherUser: otherUser ? {
         _id: otherUser._id,
         name: otherUser.name,
@@ -740,6 +1218,42 @@ async function startConversation(req, res) {
   }
 }
 
+/**
+ * POST /chats/:conversationId/unread - Пометить чат непрочитанным
+ * Личная пометка («точка» в списке), сообщения остаются прочитанными —
+ * собеседник ничего не видит. Снимается следующим markAsRead.
+ */
+async function markAsUnread(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!conversationId || !mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const result = await Conversation.updateOne(
+      { _id: new mongoose.Types.ObjectId(conversationId), participants: userObjectId },
+      { $addToSet: { markedUnreadBy: userObjectId } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    // Синхронизация между устройствами пользователя
+    emitToUser(userId, 'conversation_marked_unread', { conversationId: String(conversationId), markedUnread: true });
+
+    return res.json({ success: true, conversationId: String(conversationId), markedUnread: true });
+  } catch (e) {
+    console.error('[chat] markAsUnread error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
 /**
  * POST /chats/:conversationId/pin - Закрепить/открепить чат (toggle)
  */
@@ -804,61 +1318,571 @@ async function togglePinConversation(req, res) {
   }
 }
 
+// Архивирует (archive = true) или возвращает из архива чат пользователя
+async function setConversationArchived(req, res, archive) {
+  const userId = getReqUserId(req);
+  const { conversationId } = req.params;
+
+  if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+    return res.status(400).json({ message: 'Invalid conversation id' });
+  }
+
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const result = await Conversation.updateOne(
+    { _id: new mongoose.Types.ObjectId(conversationId), participants: userObjectId },
+    archive ? { $addToSet: { archivedBy: userObjectId } } : { $pull: { archivedBy: userObjectId } }
+  );
+  if (result.matchedCount === 0) {
+    return res.status(404).json({ message: 'Conversation not found' });
+  }
+
+  // Другим устройствам пользователя — перенести чат между списками
+  emitToUser(userId, 'conversation_archived', { conversationId: String(conversationId), isArchived: archive });
+
+  return res.json({ conversationId: String(conversationId), isArchived: archive });
+}
+
 /**
- * DELETE /chats - Удалить чаты
+ * POST /chats/:conversationId/archive - Убрать чат в архив
+ * Архив личный: у собеседника чат остаётся в основном списке.
  */
-async function deleteConversations(req, res) {
+async function archiveConversation(req, res) {
+  try {
+    return await setConversationArchived(req, res, true);
+  } catch (e) {
+    console.error('[chat] archiveConversation error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * DELETE /chats/:conversationId/archive - Вернуть чат из архива
+ */
+async function unarchiveConversation(req, res) {
+  try {
+    return await setConversationArchived(req, res, false);
+  } catch (e) {
+    console.error('[chat] unarchiveConversation error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/:conversationId/mute - Заглушить чат
+ * body: { duration: '1h' | '8h' | '1w' | 'forever' }. Сокет-события приходят
+ * как обычно, push о сообщениях — тихий (без звука и баннера).
+ */
+async function muteConversation(req, res) {
   try {
     const userId = getReqUserId(req);
-    const { conversationIds } = req.body;
+    const { conversationId } = req.params;
+    const { duration } = req.body;
 
     if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
       return res.status(401).json({ message: 'Unauthorized' });
     }
-
-    if (!conversationIds || !Array.isArray(conversationIds) || conversationIds.length === 0) {
-      return res.status(400).json({ message: 'No conversation IDs provided' });
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
     }
 
     const userObjectId = new mongoose.Types.ObjectId(userId);
+    const durationMs = MUTE_DURATIONS[duration];
+    const until = durationMs === null ? null : new Date(Date.now() + durationMs);
+
+    // Пайплайн-апдейт: прежняя запись пользователя заменяется новой атомарно
+    const result = await Conversation.updateOne(
+      { _id: new mongoose.Types.ObjectId(conversationId), participants: userObjectId },
+      [{
+        $set: {
+          mutedBy: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ['$mutedBy', []] },
+                  cond: { $ne: ['$$this.userId', userObjectId] },
+                },
+              },
+              [{ userId: userObjectId, until }],
+            ],
+          },
+        },
+      }]
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
 
-    // Проверяем, что пользователь участник этих чатов
-    const validConversationIds = [];
-    for (const convId of conversationIds) {
-      if (!mongoose.Types.ObjectId.isValid(String(convId))) continue;
+    const payload = { conversationId: String(conversationId), isMuted: true, mutedUntil: until };
+    // Другим устройствам пользователя
+    emitToUser(userId, 'conversation_muted', payload);
 
-      const conversation = await Conversation.findOne({
-        _id: new mongoose.Types.ObjectId(convId),
-        participants: userObjectId,
-      });
+    return res.json(payload);
+  } catch (e) {
+    console.error('[chat] muteConversation error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
 
-      if (conversation) {
-        validConversationIds.push(conversation._id);
-      }
+/**
+ * DELETE /chats/:conversationId/mute - Включить звук чата
+ */
+async function unmuteConversation(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
     }
 
-    if (validConversationIds.length === 0) {
-      return res.status(404).json({ message: 'No valid conversations found' });
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const result = await Conversation.updateOne(
+      { _id: new mongoose.Types.ObjectId(conversationId), participants: userObjectId },
+      { $pull: { mutedBy: { userId: userObjectId } } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
     }
 
-    // Собираем других участников перед удалением для уведомления через сокет
-    const conversationsToDelete = await Conversation.find({
-      _id: { $in: validConversationIds },
-    }).select('participants').lean();
+    const payload = { conversationId: String(conversationId), isMuted: false, mutedUntil: null };
+    emitToUser(userId, 'conversation_muted', payload);
 
-    const notifyMap = {}; // conversationId → [otherUserId, ...]
-    conversationsToDelete.forEach(conv => {
-      const others = conv.participants
-        .map(p => p.toString())
-        .filter(p => p !== userId.toString());
-      notifyMap[conv._id.toString()] = others;
-    });
+    return res.json(payload);
+  } catch (e) {
+    console.error('[chat] unmuteConversation error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
 
-    // Собираем S3-ключи медиа (голосовые + фото) до удаления сообщений,
-    // чтобы затем удалить сами файлы из бакета и не плодить сироты.
-    const mediaMessages = await Message.find({
-      conversationId: { $in: validConversationIds },
-      $or: [
+// ─────────────────────────────────────────────────────────────────────────
+// Папки чатов (личные, у каждого пользователя свои)
+// ─────────────────────────────────────────────────────────────────────────
+
+// Оставляет из conversationIds только чаты, где пользователь участник
+async function filterOwnConversationIds(userObjectId, conversationIds) {
+  const ids = [...new Set((conversationIds || []).map(String))].map((id) => new mongoose.Types.ObjectId(id));
+  if (ids.length === 0) return [];
+  const own = await Conversation.find({ _id: { $in: ids }, participants: userObjectId }).select('_id').lean();
+  return own.map((c) => c._id);
+}
+
+function toClientFolder(folder, unreadCount = 0) {
+  return {
+    _id: folder._id,
+    name: folder.name,
+    order: folder.order,
+    conversationIds: folder.conversationIds,
+    unreadCount,
+  };
+}
+
+/**
+ * GET /chats/folders - Папки пользователя с непрочитанными по каждой
+ */
+async function getChatFolders(req, res) {
+  try {
+    const userId = getReqUserId(req);
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const folders = await ChatFolder.find({ userId: userObjectId }).sort({ order: 1, createdAt: 1 }).lean();
+
+    // Непрочитанные всех чатов из папок — одной агрегацией, дальше суммируем
+    // по папкам в памяти (папок ≤ MAX_CHAT_FOLDERS)
+    const allIds = [...new Set(folders.flatMap((f) => f.conversationIds.map(String)))]
+      .map((id) => new mongoose.Types.ObjectId(id));
+    const rows = allIds.length
+      ? await InboxEntry.aggregate([
+          { $match: { userId: userObjectId, conversationId: { $in: allIds }, listed: true } },
+          { $project: { conversationId: 1, unread: INBOX_UNREAD_EXPR } },
+        ])
+      : [];
+    const unreadByConv = new Map(rows.map((r) => [String(r.conversationId), r.unread]));
+
+    return res.json({
+      folders: folders.map((f) => toClientFolder(
+        f,
+        f.conversationIds.reduce((sum, id) => sum + (unreadByConv.get(String(id)) || 0), 0)
+      )),
+      limit: MAX_CHAT_FOLDERS,
+    });
+  } catch (e) {
+    console.error('[chat] getChatFolders error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/folders - Создать папку
+ * body: { name, conversationIds? }
+ */
+async function createChatFolder(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { name, conversationIds = [] } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const folderCount = await ChatFolder.countDocuments({ userId: userObjectId });
+    if (folderCount >= MAX_CHAT_FOLDERS) {
+      return res.status(409).json({
+        message: `Folder limit reached: ${MAX_CHAT_FOLDERS}`,
+        code: 'FOLDER_LIMIT_REACHED',
+        limit: MAX_CHAT_FOLDERS,
+      });
+    }
+
+    let folder;
+    try {
+      folder = await ChatFolder.create({
+        userId: userObjectId,
+        name: name.trim(),
+        order: folderCount,
+        conversationIds: await filterOwnConversationIds(userObjectId, conversationIds),
+      });
+    } catch (err) {
+      if (err?.code === 11000) {
+        return res.status(409).json({ message: 'Folder with this name already exists', code: 'FOLDER_NAME_TAKEN' });
+      }
+      throw err;
+    }
+
+    emitToUser(userId, 'chat_folders_updated', { folderId: String(folder._id) });
+    return res.status(201).json({ folder: toClientFolder(folder) });
+  } catch (e) {
+    console.error('[chat] createChatFolder error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * PATCH /chats/folders/:folderId - Переименовать / переставить папку
+ * body: { name?, order? }
+ */
+async function updateChatFolder(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { folderId } = req.params;
+    const { name, order } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(folderId))) {
+      return res.status(400).json({ message: 'Invalid folder id' });
+    }
+
+    const update = { updatedAt: new Date() };
+    if (name !== undefined) update.name = name.trim();
+    if (order !== undefined) update.order = order;
+
+    let folder;
+    try {
+      folder = await ChatFolder.findOneAndUpdate(
+        { _id: new mongoose.Types.ObjectId(folderId), userId: new mongoose.Types.ObjectId(userId) },
+        { $set: update },
+        { new: true }
+      ).lean();
+    } catch (err) {
+      if (err?.code === 11000) {
+        return res.status(409).json({ message: 'Folder with this name already exists', code: 'FOLDER_NAME_TAKEN' });
+      }
+      throw err;
+    }
+    if (!folder) {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+
+    emitToUser(userId, 'chat_folders_updated', { folderId: String(folder._id) });
+    return res.json({ folder: toClientFolder(folder) });
+  } catch (e) {
+    console.error('[chat] updateChatFolder error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * DELETE /chats/folders/:folderId - Удалить папку (сами чаты не трогаются)
+ */
+async function deleteChatFolder(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { folderId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(folderId))) {
+      return res.status(400).json({ message: 'Invalid folder id' });
+    }
+
+    const result = await ChatFolder.deleteOne({
+      _id: new mongoose.Types.ObjectId(folderId),
+      userId: new mongoose.Types.ObjectId(userId),
+    });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+
+    emitToUser(userId, 'chat_folders_updated', { folderId: String(folderId) });
+    return res.json({ success: true, folderId: String(folderId) });
+  } catch (e) {
+    console.error('[chat] deleteChatFolder error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/folders/:folderId/conversations - Добавить чаты в папку
+ * body: { conversationIds } — чужие и несуществующие чаты молча отбрасываются
+ */
+async function addConversationsToFolder(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { folderId } = req.params;
+    const { conversationIds } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(folderId))) {
+      return res.status(400).json({ message: 'Invalid folder id' });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const folderObjectId = new mongoose.Types.ObjectId(folderId);
+    const ownIds = await filterOwnConversationIds(userObjectId, conversationIds);
+
+    let folder = await ChatFolder.findOne({ _id: folderObjectId, userId: userObjectId }).lean();
+    if (!folder) {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+
+    // В лимит идут только чаты, которых ещё нет в папке. Условие $nin гарантирует,
+    // что они не появились параллельно, иначе пересчитываем и повторяем
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const present = new Set((folder.conversationIds || []).map(String));
+      const newIds = ownIds.filter((id) => !present.has(String(id)));
+      if (newIds.length === 0) break;
+      if (present.size + newIds.length > MAX_FOLDER_CONVERSATIONS) {
+        return res.status(409).json({
+          message: `Folder conversations limit reached: ${MAX_FOLDER_CONVERSATIONS}`,
+          code: 'FOLDER_FULL',
+          limit: MAX_FOLDER_CONVERSATIONS,
+        });
+      }
+
+      const updated = await ChatFolder.findOneAndUpdate(
+        {
+          _id: folderObjectId,
+          userId: userObjectId,
+          conversationIds: { $nin: newIds },
+          [`conversationIds.${MAX_FOLDER_CONVERSATIONS - newIds.length}`]: { $exists: false },
+        },
+        { $push: { conversationIds: { $each: newIds } }, $set: { updatedAt: new Date() } },
+        { new: true }
+      ).lean();
+      if (updated) {
+        folder = updated;
+        break;
+      }
+
+      folder = await ChatFolder.findOne({ _id: folderObjectId, userId: userObjectId }).lean();
+      if (!folder) {
+        return res.status(404).json({ message: 'Folder not found' });
+      }
+      if (attempt === 2) {
+        return res.status(409).json({ message: 'Folder was modified concurrently', code: 'FOLDER_CONFLICT' });
+      }
+    }
+
+    emitToUser(userId, 'chat_folders_updated', { folderId: String(folder._id) });
+    return res.json({ folder: toClientFolder(folder) });
+  } catch (e) {
+    console.error('[chat] addConversationsToFolder error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * DELETE /chats/folders/:folderId/conversations/:conversationId - Убрать чат из папки
+ */
+async function removeConversationFromFolder(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { folderId, conversationId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(folderId))) {
+      return res.status(400).json({ message: 'Invalid folder id' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
+    const folder = await ChatFolder.findOneAndUpdate(
+      { _id: new mongoose.Types.ObjectId(folderId), userId: new mongoose.Types.ObjectId(userId) },
+      {
+        $pull: { conversationIds: new mongoose.Types.ObjectId(conversationId) },
+        $set: { updatedAt: new Date() },
+      },
+      { new: true }
+    ).lean();
+    if (!folder) {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+
+    emitToUser(userId, 'chat_folders_updated', { folderId: String(folder._id) });
+    return res.json({ folder: toClientFolder(folder) });
+  } catch (e) {
+    console.error('[chat] removeConversationFromFolder error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * PUT /chats/:conversationId/disappearing - Таймер исчезающих сообщений
+ * body: { timer: 'off' | '24h' | '7d' | '90d' }. Менять может любой участник;
+ * смена фиксируется системным сообщением в чате.
+ */
+async function setDisappearingTimer(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId } = req.params;
+    const { timer } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const conversation = await Conversation.findOne({
+      _id: new mongoose.Types.ObjectId(conversationId),
+      participants: userObjectId,
+    }).lean();
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    if (conversation.status === 'pending') {
+      return res.status(403).json({ message: 'Private chat request is not accepted yet', code: 'PRIVATE_PENDING' });
+    }
+
+    // Повтор того же значения — без системного сообщения и событий
+    if ((conversation.disappearingTimer || 'off') === timer) {
+      return res.json({ conversationId: String(conversation._id), disappearingTimer: timer });
+    }
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { disappearingTimer: timer, disappearingUpdatedBy: userObjectId, disappearingUpdatedAt: new Date() }
+    );
+
+    const systemMessage = await createSystemMessage({
+      conversation,
+      actorId: userId,
+      event: 'disappearing_timer_changed',
+      params: { timer },
+    });
+
+    console.log(`[chat] Disappearing timer in ${conversationId} set to ${timer} by ${userId}`);
+
+    // Обоим: собеседнику и другим устройствам автора (само системное
+    // сообщение уже ушло через new_message)
+    const payload = {
+      conversationId: String(conversation._id),
+      disappearingTimer: timer,
+      changedBy: String(userId),
+    };
+    conversation.participants.forEach((participantId) => {
+      emitToUser(participantId, 'disappearing_timer_changed', payload);
+    });
+
+    return res.json({
+      conversationId: String(conversation._id),
+      disappearingTimer: timer,
+      systemMessageId: String(systemMessage._id),
+    });
+  } catch (e) {
+    console.error('[chat] setDisappearingTimer error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * DELETE /chats - Удалить чаты
+ */
+async function deleteConversations(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationIds } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    if (!conversationIds || !Array.isArray(conversationIds) || conversationIds.length === 0) {
+      return res.status(400).json({ message: 'No conversation IDs provided' });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+
+    // Проверяем, что пользователь участник этих чатов
+    const validConversationIds = [];
+    for (const convId of conversationIds) {
+      if (!mongoose.Types.ObjectId.isValid(String(convId))) continue;
+
+      // Группу целиком не удаляет никто — из неё выходят (POST /chats/groups/:id/leave)
+      const conversation = await Conversation.findOne({
+        _id: new mongoose.Types.ObjectId(convId),
+        participants: userObjectId,
+        type: { $ne: 'group' },
+      });
+
+      if (conversation) {
+        validConversationIds.push(conversation._id);
+      }
+    }
+
+    if (validConversationIds.length === 0) {
+      return res.status(404).json({ message: 'No valid conversations found' });
+    }
+
+    // Собираем других участников перед удалением для уведомления через сокет
+    const conversationsToDelete = await Conversation.find({
+      _id: { $in: validConversationIds },
+    }).select('participants').lean();
+
+    const notifyMap = {}; // conversationId → [otherUserId, ...]
+    conversationsToDelete.forEach(conv => {
+      const others = conv.participants
+        .map(p => p.toString())
+        .filter(p => p !== userId.toString());
+      notifyMap[conv._id.toString()] = others;
+    });
+
+    // Собираем S3-ключи медиа (голосовые + фото) до удаления сообщений,
+    // чтобы затем удалить сами файлы из бакета и не плодить сироты.
+    const mediaMessages = await Message.find({
+      conversationId: { $in: validConversationIds },
+      $or: [
         { voiceKey: { $exists: true, $nin: [null, ''] } },
         { photoKey: { $exists: true, $nin: [null, ''] } },
       ],
@@ -874,6 +1898,11 @@ async function deleteConversations(req, res) {
     await Message.deleteMany({
       conversationId: { $in: validConversationIds },
     });
+    await StarredMessage.deleteMany({ conversationId: { $in: validConversationIds } });
+    await ChatFolder.updateMany(
+      { conversationIds: { $in: validConversationIds } },
+      { $pull: { conversationIds: { $in: validConversationIds } } }
+    );
 
     // Удаляем сами чаты
     await Conversation.deleteMany({
@@ -1043,62 +2072,495 @@ async function unregisterPushToken(req, res) {
   }
 }
 
-/**
- * POST /chats/messages/:messageId/heart - Поставить/снять реакцию сердечком
- */
-async function toggleHeartReaction(req, res) {
-  try {
-    const userId = getReqUserId(req);
-    const { messageId } = req.params;
-
-    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+// Загружает сообщение для реакции/пересылки и проверяет, что юзер его видит:
+// участник переписки, сообщение не удалено у всех и не скрыто у него самого.
+// В группе receiverId нет — участие проверяем по членству в беседе.
+async function findReactableMessage(messageId, userId) {
+  const message = await Message.findById(messageId).lean();
+  if (!message || message.deletedForAll || message.messageType === 'system') return null;
+  const uid = String(userId);
+  if ((message.deletedFor || []).some((id) => String(id) === uid)) return null;
+  if (message.isGroup) {
+    const isMember = await Conversation.exists({
+      _id: message.conversationId,
+      participants: new mongoose.Types.ObjectId(uid),
+    });
+    return isMember ? message : null;
+  }
+  if (String(message.senderId) !== uid && String(message.receiverId) !== uid) return null;
+  return message;
+}
+
+// Ставит (emoji) или снимает (null) реакцию юзера и рассылает обновление.
+// Одна реакция на юзера: пайплайн-апдейт атомарно выкидывает его прежнюю
+// реакцию (в т.ч. легаси из heartedBy) и добавляет новую.
+async function setMessageReaction(message, userId, emoji) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const othersReactions = {
+    $filter: {
+      input: { $ifNull: ['$reactions', []] },
+      cond: { $ne: ['$$this.userId', userObjectId] },
+    },
+  };
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id },
+    [{
+      $set: {
+        reactions: emoji
+          ? { $concatArrays: [othersReactions, [{ userId: userObjectId, emoji, createdAt: '$$NOW' }]] }
+          : othersReactions,
+        heartedBy: {
+          $filter: {
+            input: { $ifNull: ['$heartedBy', []] },
+            cond: { $ne: ['$$this', userObjectId] },
+          },
+        },
+      },
+    }],
+    { new: true }
+  ).lean();
+
+  const summary = summarizeReactions(updated, userId);
+
+  // Уведомляем остальных участников через Socket.IO (в чате двоих — второго).
+  // heart_reaction — для старых клиентов, которые знают только сердечко
+  // (heartedBy собран из reactions).
+  const participants = message.isGroup
+    ? (await Conversation.findById(message.conversationId).select('participants').lean())?.participants || []
+    : [message.senderId, message.receiverId];
+  participants
+    .filter((p) => String(p) !== String(userId))
+    .forEach((recipientId) => {
+      emitToUser(recipientId, 'reaction_updated', {
+        messageId: String(message._id),
+        conversationId: String(message.conversationId),
+        userId: String(userId),
+        emoji: emoji || null,
+        reactionCounts: summary.reactionCounts,
+      });
+      emitToUser(recipientId, 'heart_reaction', {
+        messageId: String(message._id),
+        heartedBy: summary.heartedBy,
+      });
+    });
+
+  console.log(`[chat] Reaction by ${userId} on message ${message._id}: ${emoji || 'removed'}`);
+  return summary;
+}
+
+/**
+ * POST /chats/messages/:messageId/reactions - Поставить реакцию
+ * body: { emoji }  — повторная та же реакция снимает её, другая заменяет
+ */
+async function reactToMessage(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
       return res.status(401).json({ message: 'Unauthorized' });
     }
+    if (!messageId || !mongoose.Types.ObjectId.isValid(String(messageId))) {
+      return res.status(400).json({ message: 'Invalid message id' });
+    }
+    if (!REACTION_EMOJIS.includes(emoji)) {
+      return res.status(400).json({ message: 'Unsupported reaction', code: 'INVALID_REACTION' });
+    }
+
+    const message = await findReactableMessage(messageId, userId);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const nextEmoji = getUserReaction(message, userId) === emoji ? null : emoji;
+    const summary = await setMessageReaction(message, userId, nextEmoji);
 
+    return res.json({ success: true, messageId: String(messageId), ...summary });
+  } catch (e) {
+    console.error('[chat] reactToMessage error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * DELETE /chats/messages/:messageId/reactions - Снять свою реакцию
+ */
+async function removeReaction(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { messageId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
     if (!messageId || !mongoose.Types.ObjectId.isValid(String(messageId))) {
       return res.status(400).json({ message: 'Invalid message id' });
     }
 
-    const message = await Message.findById(messageId);
+    const message = await findReactableMessage(messageId, userId);
     if (!message) {
       return res.status(404).json({ message: 'Message not found' });
     }
 
+    const summary = await setMessageReaction(message, userId, null);
+
+    return res.json({ success: true, messageId: String(messageId), ...summary });
+  } catch (e) {
+    console.error('[chat] removeReaction error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * GET /chats/:conversationId/pinned-messages - Закреплённые сообщения чата
+ * Новые первыми; скрытые у пользователя («Удалить у меня») не отдаём.
+ */
+async function getPinnedMessages(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
     const userObjectId = new mongoose.Types.ObjectId(userId);
-    const alreadyHearted = message.heartedBy.some(
-      (id) => id.toString() === userId.toString()
+    const conversation = await Conversation.findOne({
+      _id: new mongoose.Types.ObjectId(conversationId),
+      participants: userObjectId,
+    }).select('pinnedMessages').lean();
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const pins = [...(conversation.pinnedMessages || [])].reverse();
+    const messages = await Message.find({
+      _id: { $in: pins.map((p) => p.messageId) },
+      deletedForAll: { $ne: true },
+      deletedFor: { $nin: [userObjectId] },
+    }).lean();
+    const byId = new Map(messages.map((m) => [String(m._id), m]));
+
+    const pinnedMessages = await Promise.all(
+      pins
+        .filter((p) => byId.has(String(p.messageId)))
+        .map(async (p) => ({
+          message: await toClientMessage(byId.get(String(p.messageId)), userId),
+          pinnedBy: p.pinnedBy,
+          pinnedAt: p.pinnedAt,
+        }))
     );
 
-    let updatedMessage;
-    if (alreadyHearted) {
-      updatedMessage = await Message.findByIdAndUpdate(
-        messageId,
-        { $pull: { heartedBy: userObjectId } },
-        { new: true }
-      );
-    } else {
-      updatedMessage = await Message.findByIdAndUpdate(
-        messageId,
-        { $addToSet: { heartedBy: userObjectId } },
-        { new: true }
-      );
+    return res.json({ conversationId: String(conversation._id), pinnedMessages, limit: MAX_PINNED_MESSAGES });
+  } catch (e) {
+    console.error('[chat] getPinnedMessages error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/messages/:messageId/pin - Закрепить сообщение в чате
+ * Закрепление общее: видят все участники, в чат пишется системное сообщение.
+ */
+async function pinMessage(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { messageId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!messageId || !mongoose.Types.ObjectId.isValid(String(messageId))) {
+      return res.status(400).json({ message: 'Invalid message id' });
+    }
+
+    const message = await findReactableMessage(messageId, userId);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const conversation = await Conversation.findById(message.conversationId)
+      .select('participants status pinnedMessages')
+      .lean();
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    if (conversation.status === 'pending') {
+      return res.status(403).json({ message: 'Private chat request is not accepted yet', code: 'PRIVATE_PENDING' });
+    }
+
+    // Лимит и «ещё не закреплено» — в одном условии апдейта: два параллельных
+    // закрепления не превысят MAX_PINNED_MESSAGES и не продублируют запись
+    const pinnedAt = new Date();
+    const result = await Conversation.updateOne(
+      {
+        _id: conversation._id,
+        'pinnedMessages.messageId': { $ne: message._id },
+        [`pinnedMessages.${MAX_PINNED_MESSAGES - 1}`]: { $exists: false },
+      },
+      { $push: { pinnedMessages: { messageId: message._id, pinnedBy: new mongoose.Types.ObjectId(userId), pinnedAt } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      const alreadyPinned = await Conversation.exists({ _id: conversation._id, 'pinnedMessages.messageId': message._id });
+      if (alreadyPinned) {
+        return res.json({ success: true, messageId: String(message._id), isPinned: true });
+      }
+      return res.status(409).json({
+        message: `Pinned messages limit reached: ${MAX_PINNED_MESSAGES}`,
+        code: 'PINNED_MESSAGES_LIMIT_REACHED',
+        limit: MAX_PINNED_MESSAGES,
+      });
+    }
+
+    console.log(`[chat] Message ${messageId} pinned in ${conversation._id} by ${userId}`);
+
+    conversation.participants.forEach((participantId) => {
+      emitToUser(participantId, 'message_pinned', {
+        conversationId: String(conversation._id),
+        messageId: String(message._id),
+        isPinned: true,
+        pinnedBy: String(userId),
+        pinnedAt,
+      });
+    });
+    await createSystemMessage({
+      conversation,
+      actorId: userId,
+      event: 'message_pinned',
+      params: { messageId: String(message._id) },
+    });
+
+    return res.json({ success: true, messageId: String(message._id), isPinned: true, pinnedAt });
+  } catch (e) {
+    console.error('[chat] pinMessage error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * DELETE /chats/messages/:messageId/pin - Открепить сообщение
+ */
+async function unpinMessage(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { messageId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!messageId || !mongoose.Types.ObjectId.isValid(String(messageId))) {
+      return res.status(400).json({ message: 'Invalid message id' });
+    }
+
+    const messageObjectId = new mongoose.Types.ObjectId(messageId);
+    const conversation = await Conversation.findOneAndUpdate(
+      {
+        participants: new mongoose.Types.ObjectId(userId),
+        'pinnedMessages.messageId': messageObjectId,
+      },
+      { $pull: { pinnedMessages: { messageId: messageObjectId } } },
+      { new: true, projection: { participants: 1 } }
+    ).lean();
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Pinned message not found' });
+    }
+
+    console.log(`[chat] Message ${messageId} unpinned in ${conversation._id} by ${userId}`);
+
+    conversation.participants.forEach((participantId) => {
+      emitToUser(participantId, 'message_pinned', {
+        conversationId: String(conversation._id),
+        messageId: String(messageId),
+        isPinned: false,
+        unpinnedBy: String(userId),
+      });
+    });
+
+    return res.json({ success: true, messageId: String(messageId), isPinned: false });
+  } catch (e) {
+    console.error('[chat] unpinMessage error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/messages/:messageId/star - Сохранить сообщение в «Избранное»
+ * Закладка личная — собеседник о ней не узнаёт. Повторный вызов — no-op.
+ */
+async function starMessage(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { messageId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!messageId || !mongoose.Types.ObjectId.isValid(String(messageId))) {
+      return res.status(400).json({ message: 'Invalid message id' });
+    }
+
+    const message = await findReactableMessage(messageId, userId);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    // upsert по уникальному (userId, messageId): двойной тап не создаст дубль
+    await StarredMessage.updateOne(
+      { userId: userObjectId, messageId: message._id },
+      { $setOnInsert: { conversationId: message.conversationId, createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    return res.json({ success: true, messageId: String(message._id), isStarred: true });
+  } catch (e) {
+    // Гонка двух upsert — закладка уже есть, результат тот же
+    if (e?.code === 11000) {
+      return res.json({ success: true, messageId: String(req.params.messageId), isStarred: true });
     }
+    console.error('[chat] starMessage error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * DELETE /chats/messages/:messageId/star - Убрать сообщение из «Избранного»
+ */
+async function unstarMessage(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { messageId } = req.params;
 
-    console.log(`[chat] Heart toggled by ${userId} on message ${messageId}: hearted=${!alreadyHearted}`);
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!messageId || !mongoose.Types.ObjectId.isValid(String(messageId))) {
+      return res.status(400).json({ message: 'Invalid message id' });
+    }
 
-    // Уведомляем второго участника через Socket.IO
-    const otherUserId = message.senderId.toString() === userId.toString()
-      ? message.receiverId
-      : message.senderId;
-    emitToUser(otherUserId, 'heart_reaction', {
-      messageId: String(messageId),
-      heartedBy: updatedMessage.heartedBy,
+    await StarredMessage.deleteOne({
+      userId: new mongoose.Types.ObjectId(userId),
+      messageId: new mongoose.Types.ObjectId(messageId),
     });
 
+    return res.json({ success: true, messageId: String(messageId), isStarred: false });
+  } catch (e) {
+    console.error('[chat] unstarMessage error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * GET /chats/starred - «Избранное» пользователя по всем чатам
+ * ?page=&limit= — новые закладки первыми
+ */
+async function getStarredMessages(req, res) {
+  try {
+    const userId = getReqUserId(req);
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 30));
+    const skip = (page - 1) * limit;
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+
+    const stars = await StarredMessage.find({ userId: userObjectId })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = stars.length > limit;
+    const pageStars = hasMore ? stars.slice(0, limit) : stars;
+
+    // Закладки снимаются при удалении, но на всякий случай перепроверяем
+    // видимость: удалённое у всех / у себя в выдачу не попадает
+    const messages = await Message.find({
+      _id: { $in: pageStars.map((s) => s.messageId) },
+      deletedForAll: { $ne: true },
+      deletedFor: { $nin: [userObjectId] },
+    }).lean();
+    const byId = new Map(messages.map((m) => [String(m._id), m]));
+
+    // Карточки собеседников одним запросом, а не по запросу на строку.
+    // У группы собеседника нет — вместо карточки данные группы
+    const conversations = await Conversation.find({ _id: { $in: [...new Set(messages.map((m) => m.conversationId))] } })
+      .select('participants isPrivate type title avatarKey')
+      .lean();
+    const counterpartByConv = new Map(conversations
+      .filter((c) => c.type !== 'group')
+      .map((c) => [String(c._id), String(c.participants.find((p) => String(p) !== String(userId)))]));
+    const privateByConv = new Map(conversations.map((c) => [String(c._id), !!c.isPrivate]));
+    const groupByConv = new Map(await Promise.all(conversations
+      .filter((c) => c.type === 'group')
+      .map(async (c) => [String(c._id), await toClientGroup({ ...c, memberCount: c.participants.length })])));
+    const cards = await getUserCards([...new Set(counterpartByConv.values())]);
+
+    const starred = await Promise.all(
+      pageStars
+        .filter((s) => byId.has(String(s.messageId)))
+        .map(async (s) => {
+          const msg = byId.get(String(s.messageId));
+          const group = groupByConv.get(String(msg.conversationId)) || null;
+          return {
+            conversationId: msg.conversationId,
+            type: group ? 'group' : 'direct',
+            isPrivate: privateByConv.get(String(msg.conversationId)) || false,
+            otherUser: cards.get(counterpartByConv.get(String(msg.conversationId))) || null,
+            group,
+            starredAt: s.createdAt,
+            message: await toClientMessage(msg, userId),
+          };
+        })
+    );
+
+    return res.json({ starred, page, hasMore });
+  } catch (e) {
+    console.error('[chat] getStarredMessages error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/messages/:messageId/heart - Поставить/снять реакцию сердечком
+ * Алиас reactions для старых клиентов: toggle ❤️, ответ в прежнем формате.
+ */
+async function toggleHeartReaction(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { messageId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    if (!messageId || !mongoose.Types.ObjectId.isValid(String(messageId))) {
+      return res.status(400).json({ message: 'Invalid message id' });
+    }
+
+    const message = await findReactableMessage(messageId, userId);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const alreadyHearted = getUserReaction(message, userId) === HEART;
+    const summary = await setMessageReaction(message, userId, alreadyHearted ? null : HEART);
+
     return res.json({
       success: true,
       hearted: !alreadyHearted,
-      heartedBy: updatedMessage.heartedBy,
+      heartedBy: summary.heartedBy,
     });
   } catch (e) {
     console.error('[chat] toggleHeartReaction error:', e);
@@ -1170,7 +2632,7 @@ async function registerPublicKey(req, res) {
 
     // Находим всех собеседников ДО обновления ключа (чаты могут быть удалены позже)
     const conversations = await Conversation.find({ participants: userObjectId })
-      .select('participants')
+      .select('participants isPrivate status')
       .lean();
     const partnerIds = new Set();
     conversations.forEach(conv => {
@@ -1179,13 +2641,22 @@ async function registerPublicKey(req, res) {
       });
     });
 
-    await User.findByIdAndUpdate(userId, { publicKey });
+    const previous = await User.findByIdAndUpdate(userId, { publicKey }).select('publicKey').lean();
 
     // Уведомляем собеседников — их кэш публичного ключа устарел
     for (const partnerId of partnerIds) {
       emitToUser(partnerId, 'e2e_key_updated', { userId: String(userId) });
     }
 
+    // Смена (а не первая регистрация) ключа — отметка в каждом активном
+    // приватном чате: собеседник видит, что старые сообщения не расшифровать
+    if (previous?.publicKey && previous.publicKey !== publicKey) {
+      const privateChats = conversations.filter((c) => c.isPrivate && c.status === 'active');
+      for (const conversation of privateChats) {
+        await createSystemMessage({ conversation, actorId: userId, event: 'e2e_key_changed' });
+      }
+    }
+
     console.log(`[chat] Registered public key for user ${userId}, notified ${partnerIds.size} partners`);
     return res.json({ ok: true });
   } catch (e) {
@@ -1283,12 +2754,18 @@ async function deleteMessage(req, res) {
     }
 
     if (deleteFor === 'all') {
+      // Системное сообщение — часть истории чата, у всех его не удалить
+      if (message.messageType === 'system') {
+        return res.status(403).json({ message: 'System messages cannot be deleted for all', code: 'SYSTEM_MESSAGE' });
+      }
       // Удалить у всех — только отправитель может
       if (message.senderId.toString() !== String(userId)) {
         return res.status(403).json({ message: 'Only sender can delete for all' });
       }
       message.deletedForAll = true;
       message.text = '';
+      // История правок — тоже контент сообщения, иначе «удалённый» текст остался бы в БД
+      message.editHistory = [];
     } else {
       // Удалить только для себя
       if (!message.deletedFor.some(id => id.toString() === String(userId))) {
@@ -1299,9 +2776,29 @@ async function deleteMessage(req, res) {
     await message.save();
     console.log(`[chat] deleteMessage ${messageId} deleteFor=${deleteFor} by userId=${userId}`);
 
+    // Избранное: у всех — снимаем закладки обоих, у себя — только свою
+    await StarredMessage.deleteMany(
+      deleteFor === 'all' ? { messageId: message._id } : { messageId: message._id, userId: userObjectId }
+    );
+
     // При удалении "у всех" сообщение скрыто для обоих → медиа-файл больше не нужен.
     // Для deleteFor='me' файл НЕ трогаем: второй участник его ещё видит.
+    // Участники группы — им же уходит событие удаления
+    const groupConversation = message.isGroup
+      ? await Conversation.findById(message.conversationId).select('participants lastReadMessageId').lean()
+      : null;
+
     if (deleteFor === 'all') {
+      // Непрочитанное удалённое больше не висит в счётчике получателя
+      // (в группе — у каждого, кто до него ещё не дочитал)
+      if (groupConversation) {
+        await releaseGroupUnread(groupConversation, [message]);
+      } else if (!message.isRead) {
+        await releaseUnreadMessages([message._id]);
+      }
+      await markReplyPreviewsDeleted([message._id]);
+      await unpinDeletedMessages(message.conversationId, [message._id]);
+
       const keys = [];
       if (message.voiceKey) keys.push(message.voiceKey);
       if (message.photoKey) keys.push(message.photoKey);
@@ -1311,48 +2808,247 @@ async function deleteMessage(req, res) {
       }
     }
 
-    // Real-time: уведомляем второго участника через Socket.IO
+    // Real-time: уведомляем второго участника (в группе — остальных) через Socket.IO
     if (deleteFor === 'all') {
       const otherUserId = message.senderId.toString() === String(userId)
         ? message.receiverId
         : message.senderId;
-      emitToUser(otherUserId, 'message_deleted', {
-        messageId: String(messageId),
-        conversationId: String(message.conversationId),
+      const audience = groupConversation
+        ? groupConversation.participants.filter((p) => String(p) !== String(userId))
+        : [otherUserId];
+      audience.forEach((recipientId) => {
+        emitToUser(recipientId, 'message_deleted', {
+          messageId: String(messageId),
+          conversationId: String(message.conversationId),
+        });
       });
     }
 
-    // Обновляем lastMessage в conversation если удалённое было последним
-    const conversation = await Conversation.findById(message.conversationId);
-    if (conversation) {
-      // Строим фильтр: исключаем deletedForAll и, для deleteFor='me', deletedFor содержит userId
-      const filter = {
-        conversationId: message.conversationId,
-        deletedForAll: { $ne: true },
-      };
-      if (deleteFor === 'me') {
-        filter.deletedFor = { $nin: [userObjectId] };
+    // Обновляем lastMessage в conversation если удалённое было последним.
+    // Для deleteFor='me' исключаем и сообщения, скрытые у этого пользователя.
+    await refreshLastMessage(
+      message.conversationId,
+      deleteFor === 'me' ? { deletedFor: { $nin: [userObjectId] } } : {}
+    );
+
+    return res.json({ success: true, messageId, deleteFor });
+  } catch (e) {
+    console.error('[chat] deleteMessage error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * PATCH /chats/messages/:messageId - Отредактировать текст сообщения
+ * body: { text, nonce }  (nonce обязателен в приватном чате — шифртекст)
+ */
+async function editMessage(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { messageId } = req.params;
+    const { text, nonce = null } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!messageId || !mongoose.Types.ObjectId.isValid(String(messageId))) {
+      return res.status(400).json({ message: 'Invalid messageId' });
+    }
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({ message: 'Message text is required' });
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.deletedForAll) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    if (message.senderId.toString() !== String(userId)) {
+      return res.status(403).json({ message: 'Only sender can edit message', code: 'NOT_SENDER' });
+    }
+    // Голос/фото/стикер не редактируются — меняется только текст
+    if (message.messageType !== 'text') {
+      return res.status(400).json({ message: 'Only text messages can be edited', code: 'NOT_EDITABLE' });
+    }
+    if (Date.now() - message.createdAt.getTime() > MESSAGE_EDIT_WINDOW_SEC * 1000) {
+      return res.status(403).json({
+        message: 'Edit window has expired',
+        code: 'EDIT_WINDOW_EXPIRED',
+        windowSec: MESSAGE_EDIT_WINDOW_SEC,
+      });
+    }
+
+    const conversation = await Conversation.findById(message.conversationId).select('isPrivate participants').lean();
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    // Вышедший из группы свои старые сообщения уже не правит
+    if (message.isGroup && !conversation.participants.some((p) => String(p) === String(userId))) {
+      return res.status(403).json({ message: 'Not a group member', code: 'NOT_GROUP_MEMBER' });
+    }
+    // Та же защита от plaintext, что и в sendMessage: новый шифртекст идёт со своим nonce
+    if (conversation.isPrivate && !nonce) {
+      return res.status(400).json({ message: 'Encrypted payload required for private chat', code: 'E2E_REQUIRED' });
+    }
+
+    const newText = text.trim();
+    const editedAt = new Date();
+
+    // Условие по editedAt — оптимистическая блокировка: две одновременные правки
+    // (с двух устройств) не должны потерять версию в истории.
+    const updated = await Message.findOneAndUpdate(
+      { _id: message._id, editedAt: message.editedAt },
+      {
+        $set: { text: newText, nonce: nonce || null, editedAt },
+        $push: {
+          editHistory: {
+            $each: [{ text: message.text, nonce: message.nonce || null, editedAt }],
+            $slice: -MAX_EDIT_HISTORY,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ message: 'Message was edited concurrently', code: 'EDIT_CONFLICT' });
+    }
+
+    // Ответы на это сообщение цитируют актуальный текст
+    await Message.updateMany(
+      { 'replyTo._id': updated._id },
+      { 'replyTo.text': updated.text, 'replyTo.nonce': updated.nonce || null }
+    );
+
+    // Если правили последнее сообщение — обновляем превью в списке чатов
+    const latest = await Message.findOne({
+      conversationId: message.conversationId,
+      deletedForAll: { $ne: true },
+      messageType: { $ne: 'system' },
+    })
+      .sort({ createdAt: -1 })
+      .select('_id')
+      .lean();
+    if (latest && String(latest._id) === String(message._id)) {
+      await Conversation.updateOne(
+        { _id: message.conversationId },
+        { 'lastMessage.text': updated.text, 'lastMessage.nonce': updated.nonce || null }
+      );
+    }
+
+    console.log(`[chat] editMessage ${messageId} by userId=${userId}`);
+
+    const editPayload = {
+      messageId: String(updated._id),
+      conversationId: String(updated.conversationId),
+      text: updated.text,
+      nonce: updated.nonce || null,
+      editedAt: updated.editedAt,
+    };
+    const audience = updated.isGroup
+      ? conversation.participants.filter((p) => String(p) !== String(userId))
+      : [updated.receiverId];
+    audience.forEach((recipientId) => emitToUser(recipientId, 'message_edited', editPayload));
+
+    return res.json({ success: true, message: editPayload });
+  } catch (e) {
+    console.error('[chat] editMessage error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/messages/:messageId/forward - Переслать сообщение
+ * body: { recipientIds: [...] }. Каждая цель проходит обычный конвейер
+ * отправки (блокировки, премиум, стикеры) — результат по каждой отдельно.
+ * Из приватного (E2E) чата пересылать нельзя: сервер не знает открытый
+ * текст, а шифртекст под чужой ключ собеседнику бесполезен.
+ */
+async function forwardMessage(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { messageId } = req.params;
+    const { recipientIds, clientMessageId = null } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!messageId || !mongoose.Types.ObjectId.isValid(String(messageId))) {
+      return res.status(400).json({ message: 'Invalid messageId' });
+    }
+
+    // Пересылать можно только то, что пользователь сам видит в чате
+    const original = await findReactableMessage(messageId, userId);
+    if (!original) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    const sourceConversation = await Conversation.findById(original.conversationId).select('isPrivate').lean();
+    if (!sourceConversation || sourceConversation.isPrivate) {
+      return res.status(403).json({ message: 'Messages from private chats cannot be forwarded', code: 'PRIVATE_FORWARD_FORBIDDEN' });
+    }
+
+    // Оригинал сам может быть пересланным — ссылаемся на первоисточник
+    const forwardedFrom = original.forwardedFrom?.messageId
+      ? original.forwardedFrom
+      : { messageId: original._id, senderId: original.senderId };
+
+    const results = [];
+    for (const recipientId of [...new Set(recipientIds.map(String))]) {
+      if (recipientId === String(userId)) {
+        results.push({ recipientId, ok: false, code: 'INVALID_RECIPIENT', message: 'Cannot forward to yourself' });
+        continue;
       }
 
-      const newLast = await Message.findOne(filter)
-        .sort({ createdAt: -1 })
-        .lean();
+      const payload = { messageType: original.messageType, text: original.text || '' };
+      // Медиа копируем под новым ключом: у копии свой жизненный цикл в S3
+      let copiedKey = null;
+      try {
+        // (старые сообщения без ключа — только с прямым URL — пересылаем как есть)
+        if (original.messageType === 'voice') {
+          copiedKey = original.voiceKey ? await copyMediaObject(original.voiceKey) : null;
+          Object.assign(payload, {
+            voiceKey: copiedKey,
+            voiceUrl: copiedKey ? await getPhotoUrl(copiedKey) : original.voiceUrl,
+            voiceDuration: original.voiceDuration,
+            voiceWaveform: original.voiceWaveform,
+          });
+        } else if (original.messageType === 'image') {
+          copiedKey = original.photoKey ? await copyMediaObject(original.photoKey) : null;
+          Object.assign(payload, {
+            photoKey: copiedKey,
+            photoUrl: copiedKey ? await getPhotoUrl(copiedKey) : original.photoUrl,
+          });
+        } else if (original.messageType === 'sticker') {
+          payload.sticker = original.sticker;
+        }
+      } catch (e) {
+        console.error(`[chat] forwardMessage media copy failed for ${messageId}:`, e.name, e.message);
+        results.push({ recipientId, ok: false, code: 'MEDIA_COPY_FAILED', message: 'Failed to copy media' });
+        continue;
+      }
 
-      const lastText = newLast
-        ? (newLast.messageType === 'voice' ? '🎤 Голосовое сообщение'
-          : newLast.messageType === 'image' ? '📷 Фото'
-          : (newLast.text || ''))
-        : '';
-      conversation.lastMessage = newLast
-        ? { text: lastText, nonce: newLast.messageType === 'text' ? (newLast.nonce || null) : null, senderId: newLast.senderId, createdAt: newLast.createdAt }
-        : { text: '', nonce: null, senderId: null, createdAt: conversation.createdAt };
+      const result = await sendChatMessage({
+        senderId: userId,
+        recipientId,
+        payload,
+        // Ключ идемпотентности на цель: ретрай пересылки не продублирует копии
+        clientMessageId: clientMessageId ? `${clientMessageId}:${recipientId}` : null,
+        forwardedFrom,
+      });
 
-      await conversation.save();
+      // Копия не пригодилась (отказ или повтор) — не оставляем сирот в бакете
+      if (result.status !== 201 && copiedKey) {
+        deleteMediaKeys([copiedKey])
+          .catch((e) => console.error('[chat] forwardMessage S3 cleanup error:', e.message));
+      }
+
+      results.push(result.status < 300
+        ? { recipientId, ok: true, message: result.body.message }
+        : { recipientId, ok: false, code: result.body.code || null, message: result.body.message });
     }
 
-    return res.json({ success: true, messageId, deleteFor });
+    console.log(`[chat] Message ${messageId} forwarded by ${userId}: ${results.filter((r) => r.ok).length}/${results.length} delivered`);
+    return res.json({ success: results.some((r) => r.ok), results });
   } catch (e) {
-    console.error('[chat] deleteMessage error:', e);
+    console.error('[chat] forwardMessage error:', e);
     return res.status(500).json({ message: 'Server error' });
   }
 }
@@ -1386,6 +3082,11 @@ async function deletePrivateConversations(req, res) {
 
     // Жёстко удаляем приватные чаты и их сообщения
     await Message.deleteMany({ conversationId: { $in: convIds } });
+    await StarredMessage.deleteMany({ conversationId: { $in: convIds } });
+    await ChatFolder.updateMany(
+      { conversationIds: { $in: convIds } },
+      { $pull: { conversationIds: { $in: convIds } } }
+    );
     await Conversation.deleteMany({ _id: { $in: convIds } });
 
     // Уведомляем собеседников через socket
@@ -1410,27 +3111,6 @@ async function deletePrivateConversations(req, res) {
 // Приватный чат по согласию: request → accept / decline
 // ─────────────────────────────────────────────────────────────────────────
 
-// Строит карточку пользователя (для списков/уведомлений) с presigned-фото.
-async function buildUserCard(userDoc) {
-  if (!userDoc) return null;
-  let photoUrl = null;
-  if (userDoc.userPhoto?.[0]) {
-    const rawPhoto = userDoc.userPhoto[0];
-    const photoKey = typeof rawPhoto === 'object' ? rawPhoto.key : rawPhoto;
-    const directUrl = typeof rawPhoto === 'object' ? rawPhoto.url : null;
-    photoUrl = photoKey ? await getPhotoUrl(photoKey) : (directUrl || null);
-  }
-  return {
-    _id: userDoc._id,
-    name: userDoc.name,
-    age: userDoc.age,
-    photo: photoUrl,
-    city: userDoc.city || userDoc.userLocation || null,
-    isOnline: userDoc.isOnline || false,
-    lastSeen: userDoc.lastSeen,
-  };
-}
-
 /**
  * POST /chats/private/request/:recipientId — отправить запрос на приватный чат.
  * Создаёт беседу со status='pending' и уведомляет получателя (socket + push).
@@ -1491,13 +3171,19 @@ async function requestPrivateConversation(req, res) {
       }
     }
 
-    // Создаём pending-запрос
-    conversation = await Conversation.create({
-      participants: [userObjectId, recipientObjectId],
-      isPrivate: true,
-      status: 'pending',
-      initiatorId: userObjectId,
-    });
+    // Создаём pending-запрос. Встречный запрос, созданный параллельно, —
+    // уже не наш: отвечаем как на существующий pending
+    const { conversation: upserted, created } = await Conversation.findOrCreatePair(
+      userObjectId, recipientObjectId, true, { status: 'pending', initiatorId: userObjectId }
+    );
+    conversation = upserted;
+    if (!created) {
+      return res.status(200).json({
+        status: conversation.status,
+        conversationId: conversation._id,
+        already: String(conversation.initiatorId) === String(userId),
+      });
+    }
     console.log(`[chat] Private request ${conversation._id}: ${userId} → ${recipientId}`);
 
     const initiatorCard = await buildUserCard(currentUser);
@@ -1577,6 +3263,7 @@ async function acceptPrivateRequest(req, res) {
     conversation.status = 'active';
     await conversation.save();
     console.log(`[chat] Private request ${conversationId} accepted by ${userId}`);
+    await createSystemMessage({ conversation, actorId: userId, event: 'private_chat_accepted' });
 
     // Уведомляем инициатора — теперь чат активен
     const accepterDoc = await User.findById(userId)
@@ -1706,6 +3393,701 @@ async function getPrivateRequests(req, res) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// Групповые чаты: участники, администраторы, сообщения и прочтение
+// ─────────────────────────────────────────────────────────────────────────
+
+// Группа, в которой состоит userId (lean) — иначе null
+function findGroup(conversationId, userId) {
+  return Conversation.findOne({
+    _id: new mongoose.Types.ObjectId(conversationId),
+    type: 'group',
+    participants: new mongoose.Types.ObjectId(userId),
+  }).lean();
+}
+
+const isGroupAdmin = (conversation, userId) => (conversation.admins || [])
+  .some((id) => String(id) === String(userId));
+
+// Можно ли добавить пользователей в группу: все существуют и ни с кем из них
+// у добавляющего нет блокировки (в обе стороны). Ошибка — { status, message, code }.
+async function checkGroupInvitees(userId, memberIds) {
+  const [me, users] = await Promise.all([
+    User.findById(userId).select('blockedUsers').lean(),
+    User.find({ _id: { $in: memberIds } }).select('_id blockedUsers').lean(),
+  ]);
+  if (users.length !== memberIds.length) {
+    return { status: 400, message: 'Unknown users', code: 'UNKNOWN_USERS' };
+  }
+  const blockedByMe = new Set((me?.blockedUsers || []).map(String));
+  const blocked = users.some((u) => blockedByMe.has(String(u._id))
+    || (u.blockedUsers || []).some((id) => String(id) === String(userId)));
+  if (blocked) {
+    return { status: 403, message: 'Some users cannot be added to the group', code: 'BLOCKED' };
+  }
+  return null;
+}
+
+// Шапка группы (название, аватар, участники, админы) — всем участникам
+async function emitGroupUpdated(conversationId) {
+  const conversation = await Conversation.findById(conversationId)
+    .select('participants admins title avatarKey')
+    .lean();
+  if (!conversation) return;
+  const payload = {
+    conversationId: String(conversation._id),
+    group: await toClientGroup({ ...conversation, memberCount: conversation.participants.length }),
+    admins: (conversation.admins || []).map(String),
+  };
+  conversation.participants.forEach((participantId) => {
+    emitToUser(participantId, 'group_updated', payload);
+  });
+}
+
+// Убрать участника из группы (выход или удаление админом) вместе с его личным
+// состоянием. Последнего админа заменяет самый давний участник.
+// Один пайплайн-апдейт: список админов считается в Mongo из текущего
+// документа, так что параллельные setGroupAdmin и выходы не перезапишут друг
+// друга снимком. Возвращает { conversation, promotedId } — беседу уже без
+// участника, или null, если он уже не в группе.
+async function dropGroupMember(conversation, memberId) {
+  const member = String(memberId);
+  const memberObjectId = new mongoose.Types.ObjectId(member);
+  const without = (field, path = '$$this') => ({
+    $filter: { input: { $ifNull: [`$${field}`, []] }, cond: { $ne: [path, memberObjectId] } },
+  });
+
+  const before = await Conversation.findOneAndUpdate(
+    { _id: conversation._id, participants: memberObjectId },
+    [
+      {
+        $set: {
+          participants: without('participants'),
+          admins: without('admins'),
+          pinnedBy: without('pinnedBy'),
+          archivedBy: without('archivedBy'),
+          markedUnreadBy: without('markedUnreadBy'),
+          deletedFor: without('deletedFor'),
+          mutedBy: without('mutedBy', '$$this.userId'),
+          [`unreadCount.${member}`]: '$$REMOVE',
+          [`lastReadMessageId.${member}`]: '$$REMOVE',
+        },
+      },
+      {
+        $set: {
+          admins: {
+            $cond: [
+              { $and: [{ $eq: [{ $size: '$admins' }, 0] }, { $gt: [{ $size: '$participants' }, 0] }] },
+              [{ $arrayElemAt: ['$participants', 0] }],
+              '$admins',
+            ],
+          },
+        },
+      },
+    ],
+    { new: false, projection: { participants: 1, admins: 1 } }
+  ).lean();
+  if (!before) return null;
+
+  // Те же вычисления, что сделал апдейт, — над документом до него
+  const participants = before.participants.filter((p) => String(p) !== member);
+  let admins = (before.admins || []).filter((id) => String(id) !== member);
+  let promotedId = null;
+  if (admins.length === 0 && participants.length > 0) {
+    promotedId = participants[0];
+    admins = [promotedId];
+  }
+
+  // Беседа у бывшего участника исчезает: GET /chats/sync ищет только свои
+  // беседы, поэтому удаление доносим следом, как при жёстком удалении
+  await ConversationTombstone.create({ conversationId: conversation._id, participants: [memberObjectId] });
+  await ChatFolder.updateMany(
+    { userId: memberObjectId, conversationIds: conversation._id },
+    { $pull: { conversationIds: conversation._id } }
+  );
+  emitToUser(member, 'conversation_deleted', { conversationId: String(conversation._id) });
+
+  return { conversation: { ...conversation, participants, admins }, promotedId };
+}
+
+/**
+ * POST /chats/groups - Создать группу
+ * body: { title, memberIds, avatarKey? }. Создатель — участник и админ.
+ */
+async function createGroup(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { title, memberIds, avatarKey = null } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const memberObjectIds = [...new Set(memberIds.map(String))]
+      .filter((id) => id !== String(userId))
+      .map((id) => new mongoose.Types.ObjectId(id));
+    if (memberObjectIds.length === 0) {
+      return res.status(400).json({ message: 'Add at least one member', code: 'GROUP_MEMBERS_REQUIRED' });
+    }
+    if (memberObjectIds.length + 1 > MAX_GROUP_MEMBERS) {
+      return res.status(409).json({
+        message: `Group members limit reached: ${MAX_GROUP_MEMBERS}`,
+        code: 'GROUP_MEMBERS_LIMIT',
+        limit: MAX_GROUP_MEMBERS,
+      });
+    }
+
+    const inviteError = await checkGroupInvitees(userId, memberObjectIds);
+    if (inviteError) {
+      return res.status(inviteError.status).json({ message: inviteError.message, code: inviteError.code });
+    }
+
+    const conversation = await Conversation.create({
+      type: 'group',
+      participants: [userObjectId, ...memberObjectIds],
+      title: title.trim(),
+      avatarKey,
+      admins: [userObjectId],
+      createdBy: userObjectId,
+    });
+
+    await createSystemMessage({
+      conversation,
+      actorId: userId,
+      event: 'group_created',
+      params: { title: conversation.title },
+    });
+
+    console.log(`[chat] Group ${conversation._id} created by ${userId} with ${conversation.participants.length} members`);
+
+    return res.status(201).json({
+      conversationId: conversation._id,
+      group: await toClientGroup({ ...conversation.toObject(), memberCount: conversation.participants.length }),
+      admins: [String(userId)],
+    });
+  } catch (e) {
+    console.error('[chat] createGroup error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * GET /chats/groups/:conversationId - Группа: шапка и участники
+ * У каждого участника — isAdmin и lastReadMessageId (отметки прочтения).
+ */
+async function getGroup(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
+    const conversation = await findGroup(conversationId, userId);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+    }
+
+    const cards = await getUserCards(conversation.participants);
+    // Удалённые аккаунты (карточки нет) в списке участников не показываем
+    const members = conversation.participants
+      .map((participantId) => {
+        const card = cards.get(String(participantId));
+        if (!card) return null;
+        return {
+          ...card,
+          isAdmin: isGroupAdmin(conversation, participantId),
+          lastReadMessageId: conversation.lastReadMessageId?.[String(participantId)] || null,
+        };
+      })
+      .filter(Boolean);
+
+    return res.json({
+      conversationId: conversation._id,
+      group: await toClientGroup({ ...conversation, memberCount: conversation.participants.length }),
+      createdBy: conversation.createdBy ? String(conversation.createdBy) : null,
+      createdAt: conversation.createdAt,
+      isAdmin: isGroupAdmin(conversation, userId),
+      disappearingTimer: conversation.disappearingTimer || 'off',
+      ...muteState(conversation, userId),
+      members,
+    });
+  } catch (e) {
+    console.error('[chat] getGroup error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * PATCH /chats/groups/:conversationId - Название и/или аватар группы (админ)
+ * body: { title?, avatarKey? } (avatarKey: null — убрать аватар)
+ */
+async function updateGroup(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId } = req.params;
+    const { title, avatarKey } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
+    const conversation = await findGroup(conversationId, userId);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+    }
+    if (!isGroupAdmin(conversation, userId)) {
+      return res.status(403).json({ message: 'Only group admins can do this', code: 'NOT_GROUP_ADMIN' });
+    }
+
+    const update = {};
+    if (title !== undefined && title.trim() !== conversation.title) update.title = title.trim();
+    if (avatarKey !== undefined && avatarKey !== conversation.avatarKey) update.avatarKey = avatarKey;
+    if (Object.keys(update).length === 0) {
+      return res.json({ success: true, conversationId: conversation._id });
+    }
+
+    await Conversation.updateOne({ _id: conversation._id }, { $set: update });
+
+    if (update.title !== undefined) {
+      await createSystemMessage({ conversation, actorId: userId, event: 'group_renamed', params: { title: update.title } });
+    }
+    if (update.avatarKey !== undefined) {
+      await createSystemMessage({ conversation, actorId: userId, event: 'group_avatar_changed' });
+    }
+    await emitGroupUpdated(conversation._id);
+
+    console.log(`[chat] Group ${conversationId} updated by ${userId}: ${Object.keys(update).join(', ')}`);
+    return res.json({ success: true, conversationId: conversation._id });
+  } catch (e) {
+    console.error('[chat] updateGroup error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/groups/:conversationId/members - Добавить участников (админ)
+ * body: { userIds }. Новые участники видят историю, но непрочитанные у них
+ * начинаются с момента добавления.
+ */
+async function addGroupMembers(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId } = req.params;
+    const { userIds } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
+    const conversation = await findGroup(conversationId, userId);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+    }
+    if (!isGroupAdmin(conversation, userId)) {
+      return res.status(403).json({ message: 'Only group admins can do this', code: 'NOT_GROUP_ADMIN' });
+    }
+
+    const current = new Set(conversation.participants.map(String));
+    const newIds = [...new Set(userIds.map(String))].filter((id) => !current.has(id));
+    if (newIds.length === 0) {
+      return res.json({ success: true, added: [] });
+    }
+    const newObjectIds = newIds.map((id) => new mongoose.Types.ObjectId(id));
+
+    const inviteError = await checkGroupInvitees(userId, newObjectIds);
+    if (inviteError) {
+      return res.status(inviteError.status).json({ message: inviteError.message, code: inviteError.code });
+    }
+
+    // Граница прочтения новых участников — последнее сообщение группы
+    const latest = await Message.findOne({ conversationId: conversation._id }).sort({ _id: -1 }).select('_id').lean();
+    const readSet = {};
+    if (latest) newIds.forEach((id) => { readSet[`lastReadMessageId.${id}`] = latest._id; });
+
+    // Лимит — условием фильтра: параллельные добавления не превысят его вместе
+    const result = await Conversation.updateOne(
+      {
+        _id: conversation._id,
+        [`participants.${MAX_GROUP_MEMBERS - newIds.length}`]: { $exists: false },
+      },
+      { $addToSet: { participants: { $each: newObjectIds } }, $set: readSet }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(409).json({
+        message: `Group members limit reached: ${MAX_GROUP_MEMBERS}`,
+        code: 'GROUP_MEMBERS_LIMIT',
+        limit: MAX_GROUP_MEMBERS,
+      });
+    }
+
+    await createSystemMessage({
+      conversation: { ...conversation, participants: [...conversation.participants, ...newObjectIds] },
+      actorId: userId,
+      event: 'group_members_added',
+      params: { userIds: newIds },
+    });
+    await emitGroupUpdated(conversation._id);
+
+    console.log(`[chat] ${newIds.length} members added to group ${conversationId} by ${userId}`);
+    return res.json({ success: true, added: newIds });
+  } catch (e) {
+    console.error('[chat] addGroupMembers error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * DELETE /chats/groups/:conversationId/members/:userId - Удалить участника (админ)
+ * Себя — через POST /chats/groups/:conversationId/leave.
+ */
+async function removeGroupMember(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId, userId: memberId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(memberId))) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+    if (String(memberId) === String(userId)) {
+      return res.status(400).json({ message: 'Use leave to exit the group', code: 'USE_LEAVE' });
+    }
+
+    const conversation = await findGroup(conversationId, userId);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+    }
+    if (!isGroupAdmin(conversation, userId)) {
+      return res.status(403).json({ message: 'Only group admins can do this', code: 'NOT_GROUP_ADMIN' });
+    }
+    if (!conversation.participants.some((p) => String(p) === String(memberId))) {
+      return res.status(404).json({ message: 'User is not a group member', code: 'NOT_GROUP_MEMBER' });
+    }
+
+    const dropped = await dropGroupMember(conversation, memberId);
+    if (!dropped) {
+      return res.status(404).json({ message: 'User is not a group member', code: 'NOT_GROUP_MEMBER' });
+    }
+    const { conversation: updated } = dropped;
+    await createSystemMessage({
+      conversation: updated,
+      actorId: userId,
+      event: 'group_member_removed',
+      params: { userId: String(memberId) },
+    });
+    await emitGroupUpdated(conversation._id);
+
+    console.log(`[chat] User ${memberId} removed from group ${conversationId} by ${userId}`);
+    return res.json({ success: true });
+  } catch (e) {
+    console.error('[chat] removeGroupMember error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/groups/:conversationId/leave - Выйти из группы
+ * Ушёл последний админ — админом становится самый давний участник;
+ * ушёл последний участник — группа удаляется вместе с перепиской.
+ */
+async function leaveGroup(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId } = req.params;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
+    const conversation = await findGroup(conversationId, userId);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+    }
+
+    if (conversation.participants.length === 1) {
+      // Последний участник: переписка больше никому не видна
+      const mediaMessages = await Message.find({
+        conversationId: conversation._id,
+        $or: [
+          { voiceKey: { $exists: true, $nin: [null, ''] } },
+          { photoKey: { $exists: true, $nin: [null, ''] } },
+        ],
+      }).select('voiceKey photoKey').lean();
+      const mediaKeys = mediaMessages.flatMap((m) => [m.voiceKey, m.photoKey].filter(Boolean));
+      if (conversation.avatarKey) mediaKeys.push(conversation.avatarKey);
+
+      await Message.deleteMany({ conversationId: conversation._id });
+      await StarredMessage.deleteMany({ conversationId: conversation._id });
+      await ChatFolder.updateMany(
+        { conversationIds: conversation._id },
+        { $pull: { conversationIds: conversation._id } }
+      );
+      await Conversation.deleteOne({ _id: conversation._id });
+
+      if (mediaKeys.length > 0) {
+        deleteMediaKeys(mediaKeys)
+          .catch((e) => console.error('[chat] leaveGroup S3 cleanup error:', e.message));
+      }
+      emitToUser(userId, 'conversation_deleted', { conversationId: String(conversation._id) });
+
+      console.log(`[chat] Group ${conversationId} deleted: last member ${userId} left`);
+      return res.json({ success: true, deleted: true });
+    }
+
+    const dropped = await dropGroupMember(conversation, userId);
+    if (!dropped) {
+      return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+    }
+    const { conversation: updated, promotedId } = dropped;
+    await createSystemMessage({ conversation: updated, actorId: userId, event: 'group_member_left' });
+    if (promotedId) {
+      await createSystemMessage({
+        conversation: updated,
+        actorId: userId,
+        event: 'group_admin_changed',
+        params: { userId: String(promotedId), isAdmin: true },
+      });
+    }
+    await emitGroupUpdated(conversation._id);
+
+    console.log(`[chat] User ${userId} left group ${conversationId}${promotedId ? `, new admin ${promotedId}` : ''}`);
+    return res.json({ success: true, deleted: false });
+  } catch (e) {
+    console.error('[chat] leaveGroup error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * PUT /chats/groups/:conversationId/admins/:userId - Назначить админа (админ)
+ * DELETE /chats/groups/:conversationId/admins/:userId - Снять админа (админ;
+ * себя — любой админ, но не последний)
+ */
+async function setGroupAdmin(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId, userId: memberId } = req.params;
+    const isAdmin = req.method === 'PUT';
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(memberId))) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+
+    const conversation = await findGroup(conversationId, userId);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+    }
+    if (!isGroupAdmin(conversation, userId)) {
+      return res.status(403).json({ message: 'Only group admins can do this', code: 'NOT_GROUP_ADMIN' });
+    }
+    if (!conversation.participants.some((p) => String(p) === String(memberId))) {
+      return res.status(404).json({ message: 'User is not a group member', code: 'NOT_GROUP_MEMBER' });
+    }
+    // Повтор — без системного сообщения и событий
+    if (isGroupAdmin(conversation, memberId) === isAdmin) {
+      return res.json({ success: true, userId: String(memberId), isAdmin });
+    }
+
+    const memberObjectId = new mongoose.Types.ObjectId(memberId);
+    if (isAdmin) {
+      await Conversation.updateOne({ _id: conversation._id }, { $addToSet: { admins: memberObjectId } });
+    } else {
+      // Последнего админа не снять — условие в фильтре, а не проверкой выше:
+      // два админа не разжалуют друг друга одновременно
+      const result = await Conversation.updateOne(
+        { _id: conversation._id, 'admins.1': { $exists: true } },
+        { $pull: { admins: memberObjectId } }
+      );
+      if (result.matchedCount === 0) {
+        return res.status(409).json({ message: 'Group must have at least one admin', code: 'LAST_ADMIN' });
+      }
+    }
+
+    await createSystemMessage({
+      conversation,
+      actorId: userId,
+      event: 'group_admin_changed',
+      params: { userId: String(memberId), isAdmin },
+    });
+    await emitGroupUpdated(conversation._id);
+
+    console.log(`[chat] Group ${conversationId}: ${memberId} isAdmin=${isAdmin} by ${userId}`);
+    return res.json({ success: true, userId: String(memberId), isAdmin });
+  } catch (e) {
+    console.error('[chat] setGroupAdmin error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * GET /chats/groups/:conversationId/messages - Сообщения группы
+ * Курсоры и пагинация — как у GET /chats/:recipientId/messages.
+ */
+async function getGroupMessages(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId } = req.params;
+    const { before, after, around } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 30));
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({ message: 'Use only one of before, after, around', code: 'INVALID_CURSOR' });
+    }
+
+    const conversation = await findGroup(conversationId, userId);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+    }
+
+    return await respondWithMessages(res, conversation, userId, { before, after, around, page, limit });
+  } catch (e) {
+    console.error('[chat] getGroupMessages error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/groups/:conversationId/messages - Отправить сообщение в группу
+ */
+async function sendGroupMessage(req, res) {
+  try {
+    const result = await sendGroupChatMessage({
+      senderId: getReqUserId(req),
+      conversationId: req.params.conversationId,
+      payload: req.body,
+      clientMessageId: req.body.clientMessageId || req.get('Idempotency-Key') || null,
+    });
+    return res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error('[chat] sendGroupMessage error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+/**
+ * POST /chats/groups/:conversationId/read - Прочитать группу
+ * body: { lastReadMessageId? } — до этого сообщения включительно; без него —
+ * до последнего. Позиция только двигается вперёд; остальным участникам
+ * уходит messages_read с userId прочитавшего (отметки прочтения).
+ */
+async function markGroupAsRead(req, res) {
+  try {
+    const userId = getReqUserId(req);
+    const { conversationId } = req.params;
+    const { lastReadMessageId = null } = req.body || {};
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(String(conversationId))) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    let conversation = await findGroup(conversationId, userId);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+    }
+
+    const visible = { conversationId: conversation._id, deletedForAll: { $ne: true } };
+    const target = lastReadMessageId
+      ? await Message.findOne({ ...visible, _id: lastReadMessageId }).select('_id').lean()
+      : await Message.findOne(visible).sort({ _id: -1 }).select('_id').lean();
+    if (lastReadMessageId && !target) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const readField = `lastReadMessageId.${userId}`;
+    const extraSet = {
+      markedUnreadBy: { $setDifference: [{ $ifNull: ['$markedUnreadBy', []] }, [userObjectId]] },
+    };
+    let before = null;
+    let readCount = 0;
+    // Сравнение-и-замена по прежней позиции: параллельное прочтение с другого
+    // устройства не даст вычесть одни и те же сообщения дважды
+    for (let attempt = 0; attempt < 3 && !before; attempt += 1) {
+      const prevId = conversation.lastReadMessageId?.[String(userId)] || null;
+      const advances = target && (!prevId || String(target._id) > String(prevId));
+      readCount = advances ? await countGroupUnread(conversation, userId, target._id) : 0;
+      before = await decrementUnread(
+        conversation._id,
+        userId,
+        readCount,
+        advances ? { ...extraSet, [readField]: { $literal: target._id } } : extraSet,
+        { filter: { [readField]: prevId }, select: 'participants markedUnreadBy unreadCount lastReadMessageId' }
+      );
+      if (!before) {
+        conversation = await findGroup(conversationId, userId);
+        if (!conversation) {
+          return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+        }
+      }
+    }
+    if (!before) {
+      return res.status(409).json({ message: 'Group was read concurrently', code: 'READ_CONFLICT' });
+    }
+
+    const remainingUnread = Math.max(0, (before.unreadCount?.get(String(userId)) || 0) - readCount);
+    const prevId = before.lastReadMessageId?.get(String(userId)) || null;
+    const advanced = target && (!prevId || String(target._id) > String(prevId));
+    const lastRead = advanced ? target._id : prevId;
+
+    if ((before.markedUnreadBy || []).some((id) => String(id) === String(userId))) {
+      emitToUser(userId, 'conversation_marked_unread', { conversationId, markedUnread: false });
+    }
+    if (advanced) {
+      const payload = { conversationId, userId: String(userId), lastReadMessageId: String(target._id), readAt: new Date() };
+      before.participants
+        .filter((p) => String(p) !== String(userId))
+        .forEach((p) => emitToUser(p, 'messages_read', payload));
+    }
+
+    console.log(`[chat] Group ${conversationId} read by ${userId}: ${readCount} messages`);
+
+    return res.json({
+      success: true,
+      lastReadMessageId: lastRead ? String(lastRead) : null,
+      unreadCount: remainingUnread,
+    });
+  } catch (e) {
+    console.error('[chat] markGroupAsRead error:', e);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
 // GET /chats/stickerpacks — каталог опубликованных паков для пикера.
 // Ключи S3 разворачиваются в публичные URL. `version` пака клиент
 // использует для инвалидации локального кеша манифеста.
@@ -1741,12 +4123,32 @@ async function getStickerPacks(req, res) {
 
 module.exports = {
   getConversations,
+  syncConversations,
   getMessages,
+  searchMessages,
   sendMessage,
+  scheduleMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage,
   getStickerPacks,
   markAsRead,
+  repairUnread,
+  markAsUnread,
+  acknowledgeDelivery,
   startConversation,
   togglePinConversation,
+  setDisappearingTimer,
+  archiveConversation,
+  unarchiveConversation,
+  muteConversation,
+  unmuteConversation,
+  getChatFolders,
+  createChatFolder,
+  updateChatFolder,
+  deleteChatFolder,
+  addConversationsToFolder,
+  removeConversationFromFolder,
   deleteConversations,
   deletePrivateConversations,
   requestPrivateConversation,
@@ -1759,8 +4161,28 @@ module.exports = {
   unregisterPushToken,
   debugPush,
   toggleHeartReaction,
+  reactToMessage,
+  removeReaction,
   registerPublicKey,
   getPublicKey,
   deleteAllChats,
   deleteMessage,
+  editMessage,
+  forwardMessage,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
+  starMessage,
+  unstarMessage,
+  getStarredMessages,
+  createGroup,
+  getGroup,
+  updateGroup,
+  addGroupMembers,
+  removeGroupMember,
+  leaveGroup,
+  setGroupAdmin,
+  getGroupMessages,
+  sendGroupMessage,
+  markGroupAsRead,
 };
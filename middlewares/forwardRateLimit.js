@@ -0,0 +1,49 @@
+const Redis = require('ioredis');
+
+// Отдельное соединение: не завязываемся на socketManager, чтобы middleware
+// работал независимо от инициализации Socket.IO
+const redis = new Redis({
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: Number(process.env.REDIS_PORT) || 6379,
+  password: process.env.REDIS_PASSWORD || undefined,
+  maxRetriesPerRequest: 1,
+  retryStrategy: (times) => (times > 3 ? null : Math.min(times * 200, 1000)),
+});
+redis.on('error', (e) => console.error('[forwardRateLimit] redis error:', e.message));
+
+// Столько же, сколько messageLimiter пропускает обычных отправок в минуту
+const PER_MINUTE_LIMIT = Number(process.env.CHAT_FORWARD_PER_MINUTE_LIMIT) || 30;
+
+/**
+ * Лимит пересылок: PER_MINUTE_LIMIT пересланных сообщений в минуту на
+ * пользователя. messageLimiter считает запрос целиком, а одна пересылка —
+ * до 20 сообщений, поэтому здесь каждая цель (recipientIds) идёт в счёт.
+ * Ставится после validate — recipientIds уже проверен.
+ * При недоступном Redis пропускаем (fail-open) — лимит не должен ронять чат.
+ */
+async function forwardRateLimit(req, res, next) {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    if (!userId) return res.status(401).json({ message: 'Unauthorized' });
+
+    const targets = req.body.recipientIds.length;
+    const minute = Math.floor(Date.now() / 60000);
+    const key = `chat:forwards:${userId}:${minute}`;
+
+    const count = await redis.incrby(key, targets);
+    if (count === targets) await redis.expire(key, 120);
+
+    if (count > PER_MINUTE_LIMIT) {
+      return res.status(429).json({
+        message: `Forward rate limit exceeded (${PER_MINUTE_LIMIT} messages per minute)`,
+        code: 'FORWARD_RATE_LIMIT',
+      });
+    }
+    return next();
+  } catch (e) {
+    console.error('[forwardRateLimit] error, skipping limit:', e.message);
+    return next();
+  }
+}
+
+module.exports = { forwardRateLimit };
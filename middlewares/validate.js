@@ -1,21 +1,30 @@
 const Joi = require('joi');
+const { REACTION_EMOJIS } = require('../utils/reactions');
+const { DISAPPEARING_TIMERS } = require('../utils/disappearing');
+const { MUTE_DURATIONS } = require('../utils/mute');
+
+// Проверка произвольного payload (тело REST-запроса или данные сокет-события).
+// Возвращает текст ошибки или null.
+function validatePayload(schema, payload) {
+  const { error } = schema.validate(payload, { abortEarly: false, stripUnknown: true });
+  return error ? error.details.map(d => d.message).join('; ') : null;
+}
 
 function validate(schema) {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body, { abortEarly: false, stripUnknown: true });
-    if (error) {
-      const messages = error.details.map(d => d.message).join('; ');
-      return res.status(400).json({ message: messages });
+    const message = validatePayload(schema, req.body);
+    if (message) {
+      return res.status(400).json({ message, code: 'VALIDATION_ERROR' });
     }
     next();
   };
 }
 
 const schemas = {
-  // text обязателен только для обычных текстовых/системных сообщений —
+  // text обязателен только для обычных текстовых сообщений —
   // voice и photo сообщения содержимое несут в своих полях (voiceUrl/photoUrl)
   sendMessage: Joi.object({
-    // text обязателен только для текстовых/системных; voice и image несут
+    // text обязателен только для текстовых; voice и image несут
     // содержимое в своих полях (voiceUrl/photoUrl)
     text: Joi.string().max(5000).allow('', null).when('messageType', {
       is: Joi.string().valid('voice', 'image', 'sticker'),
@@ -24,20 +33,25 @@ const schemas = {
     }),
     nonce: Joi.string().max(500).allow(null),
     // messageType: тип 'image' (как в модели и на клиенте), не 'photo'
-    messageType: Joi.string().valid('text', 'voice', 'image', 'sticker', 'system').default('text'),
+    // 'system' не принимаем: системные сообщения создаёт только сервер
+    messageType: Joi.string().valid('text', 'voice', 'image', 'sticker').default('text'),
     // Стикер — id пресета из клиентского каталога
     sticker: Joi.string().max(64).when('messageType', {
       is: 'sticker',
       then: Joi.required(),
       otherwise: Joi.optional().allow(null),
     }),
-    // replyTo может быть null (обычное сообщение без ответа) — клиент всегда шлёт поле
+    // replyTo может быть null (обычное сообщение без ответа) — клиент всегда шлёт поле.
+    // Значим только _id: превью сервер собирает из оригинала сам, text/senderId
+    // от старых клиентов игнорируются.
     replyTo: Joi.object({
-      _id: Joi.string(),
+      _id: Joi.string().hex().length(24).required(),
       text: Joi.string().allow('', null),
       senderId: Joi.string().allow(null),
     }).unknown(true).allow(null),
     isPrivate: Joi.boolean(),
+    // Клиентский id для идемпотентной отправки (ретраи на плохой сети)
+    clientMessageId: Joi.string().max(100).allow(null),
     // Поля голосового сообщения
     voiceUrl: Joi.string().max(2000).when('messageType', {
       is: 'voice',
@@ -58,6 +72,71 @@ const schemas = {
     photoNonce: Joi.string().max(500).allow(null),
   }),
 
+  // Правка текста сообщения. nonce — для шифртекста приватного чата
+  editMessage: Joi.object({
+    text: Joi.string().max(5000).required(),
+    nonce: Joi.string().max(500).allow(null),
+  }),
+
+  // Пересылка сообщения в другие чаты (clientMessageId — база ключа идемпотентности)
+  forwardMessage: Joi.object({
+    recipientIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(20).required(),
+    clientMessageId: Joi.string().max(64).allow(null),
+  }),
+
+  // Реакция на сообщение — только из палитры
+  reaction: Joi.object({
+    emoji: Joi.string().valid(...REACTION_EMOJIS).required(),
+  }),
+
+  // Прочтение до конкретного сообщения (без него — весь чат)
+  markAsRead: Joi.object({
+    lastReadMessageId: Joi.string().hex().length(24).allow(null),
+  }),
+
+  // Подтверждение доставки из фонового обработчика push
+  messagesDelivered: Joi.object({
+    messageIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(500).required(),
+  }),
+
+  // Таймер исчезающих сообщений беседы
+  disappearingTimer: Joi.object({
+    timer: Joi.string().valid(...Object.keys(DISAPPEARING_TIMERS)).required(),
+  }),
+
+  // Заглушить чат на время или навсегда
+  muteConversation: Joi.object({
+    duration: Joi.string().valid(...Object.keys(MUTE_DURATIONS)).required(),
+  }),
+
+  // Папки чатов
+  createChatFolder: Joi.object({
+    name: Joi.string().trim().min(1).max(30).required(),
+    conversationIds: Joi.array().items(Joi.string().hex().length(24)).max(500),
+  }),
+  updateChatFolder: Joi.object({
+    name: Joi.string().trim().min(1).max(30),
+    order: Joi.number().integer().min(0).max(1000),
+  }).or('name', 'order'),
+  chatFolderConversations: Joi.object({
+    conversationIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(500).required(),
+  }),
+
+  // Групповые чаты. Лимит участников (MAX_GROUP_MEMBERS = 50 вместе с
+  // создателем) проверяет контроллер; avatarKey — только из POST /chats/upload-photo
+  createGroup: Joi.object({
+    title: Joi.string().trim().min(1).max(64).required(),
+    memberIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(50).required(),
+    avatarKey: Joi.string().max(500).pattern(/^chat-photos\//).allow(null),
+  }),
+  updateGroup: Joi.object({
+    title: Joi.string().trim().min(1).max(64),
+    avatarKey: Joi.string().max(500).pattern(/^chat-photos\//).allow(null),
+  }).or('title', 'avatarKey'),
+  groupMembers: Joi.object({
+    userIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(50).required(),
+  }),
+
   registerPublicKey: Joi.object({
     publicKey: Joi.string().max(500).required(),
   }),
@@ -69,4 +148,16 @@ const schemas = {
   }),
 };
 
-module.exports = { validate, schemas };
\ No newline at end of file
+// Отложенное сообщение — то же тело, что у sendMessage, плюс время отправки
+schemas.scheduleMessage = schemas.sendMessage.keys({
+  sendAt: Joi.date().iso().required(),
+});
+
+// Правка отложенного сообщения до отправки: текст и/или время
+schemas.updateScheduledMessage = Joi.object({
+  text: Joi.string().max(5000),
+  nonce: Joi.string().max(500).allow(null),
+  sendAt: Joi.date().iso(),
+}).or('text', 'sendAt');
+
+module.exports = { validate, validatePayload, schemas };
\ No newline at end of file
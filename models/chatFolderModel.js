@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { chatConn } = require('../src/db');
+
+/**
+ * ChatFolder - Пользовательская папка чатов («Свидания», «Новые»…)
+ *
+ * Личная: собеседник не знает, в какой папке его чат. Один чат может лежать
+ * в нескольких папках. Список папки — GET /chats?folderId=.
+ */
+const chatFolderSchema = new mongoose.Schema({
+  // Владелец папки
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // Название (уникально в пределах пользователя)
+  name: {
+    type: String,
+    trim: true,
+    required: true,
+  },
+
+  // Порядок вкладки на клиенте (меньше — левее)
+  order: {
+    type: Number,
+    default: 0,
+  },
+
+  // Чаты в папке
+  conversationIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+  }],
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+chatFolderSchema.index({ userId: 1, name: 1 }, { unique: true });
+// Очистка при удалении чатов
+chatFolderSchema.index({ conversationIds: 1 });
+
+const ChatFolder = chatConn.models.ChatFolder || chatConn.model('ChatFolder', chatFolderSchema);
+
+module.exports = ChatFolder;
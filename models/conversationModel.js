@@ -1,14 +1,39 @@
 const mongoose = require('mongoose');
 const { chatConn } = require('../src/db');
+const { DISAPPEARING_TIMERS } = require('../utils/disappearing');
+const ConversationTombstone = require('./conversationTombstoneModel');
+const { syncInboxEntries, removeInboxEntries } = require('../services/inboxService');
+
+// Канонический ключ пары участников и типа чата (см. pairKey ниже)
+function buildPairKey(userA, userB, isPrivate) {
+  const [first, second] = [String(userA), String(userB)].sort();
+  return `${first}:${second}:${isPrivate ? 'private' : 'regular'}`;
+}
 
 const conversationSchema = new mongoose.Schema({
-  // Участники чата (2 пользователя)
+  // Участники чата: 2 пользователя, в группе — до MAX_GROUP_MEMBERS
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
   }],
 
+  // 'direct' — чат двоих (всё, что было до групп), 'group' — групповой.
+  // Обработчики 1:1 ищут «второго участника» и беседу пары — группы они
+  // исключают явно (type: { $ne: 'group' }).
+  type: { type: String, enum: ['direct', 'group'], default: 'direct' },
+
+  // Только для групп: название, аватар (S3 ключ фото из POST /chats/upload-photo),
+  // администраторы (меняют название/аватар, добавляют и удаляют участников)
+  // и создатель
+  title: { type: String, default: null },
+  avatarKey: { type: String, default: null },
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
   // Последнее сообщение для превью
   lastMessage: {
     text: { type: String, default: '' },
@@ -25,9 +50,30 @@ const conversationSchema = new mongoose.Schema({
     default: {},
   },
 
+  // Пользователи, вручную пометившие чат непрочитанным («точка» в списке,
+  // в общем счётчике считается за 1). Снимается следующим markAsRead.
+  markedUnreadBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+
+  // Последнее прочитанное сообщение для каждого участника (userId → messageId).
+  // Клиент рисует «прочитано» до этого сообщения включительно.
+  lastReadMessageId: {
+    type: Map,
+    of: mongoose.Schema.Types.ObjectId,
+    default: {},
+  },
+
   // Приватный чат (E2E шифрование, не модерируется)
   isPrivate: { type: Boolean, default: false },
 
+  // Канонический ключ пары: отсортированные id участников + тип чата
+  // ('<id>:<id>:regular' | '<id>:<id>:private'). Уникальный индекс не даёт
+  // гонке двух запросов создать дублирующую беседу. Ставится при создании;
+  // у бесед до миграции (scripts/mergeDuplicateConversations.js) его нет.
+  pairKey: { type: String, default: undefined },
+
   // Статус приватного чата: 'pending' — запрос отправлен, ждёт согласия
   // получателя; 'active' — согласие получено, чат работает. Обычные (не
   // приватные) чаты всегда 'active'.
@@ -50,15 +96,200 @@ const conversationSchema = new mongoose.Schema({
     ref: 'User',
   }],
 
-  // Дата создания и обновления
+  // Пользователи, убравшие чат в архив. Как и закрепление — личное: чат
+  // пропадает из основного списка только у них. Новое входящее сообщение
+  // возвращает чат из архива (CHAT_UNARCHIVE_ON_NEW_MESSAGE=false — не возвращает).
+  archivedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+
+  // Заглушённые чаты: push о новых сообщениях приходит без звука и баннера
+  // (тихий — только для бейджа и отметки доставки). until: null — навсегда;
+  // истёкшие записи не удаляются, а просто перестают действовать.
+  mutedBy: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    until: { type: Date, default: null },
+  }],
+
+  // Закреплённые сообщения — общие для обоих участников (новые в конце).
+  // Лимит — MAX_PINNED_MESSAGES в chatController.
+  pinnedMessages: [{
+    _id: false,
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+    pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    pinnedAt: { type: Date, default: Date.now },
+  }],
+
+  // Исчезающие сообщения: таймер беседы ('off' | '24h' | '7d' | '90d').
+  // Меняет любой участник; действует на сообщения, отправленные после смены.
+  disappearingTimer: {
+    type: String,
+    enum: Object.keys(DISAPPEARING_TIMERS),
+    default: 'off',
+  },
+  disappearingUpdatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  disappearingUpdatedAt: { type: Date, default: null },
+
+  // Дата создания и обновления. updatedAt — время последнего сообщения
+  // (порядок списка чатов), а не любого изменения документа.
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
+
+  // Время ЛЮБОГО изменения документа (закрепление, архив, счётчики, lastMessage…).
+  // Ставится хуками ниже; по нему GET /chats/sync отдаёт дельту.
+  changedAt: { type: Date, default: Date.now },
+
+  // Строки inbox не удалось пересобрать после изменения — беседу
+  // подберёт src/inboxRepairSweeper.js
+  inboxStale: { type: Boolean },
+});
+
+// changedAt — на каждом изменении, чтобы ни один апдейт не выпал из дельты
+// синхронизации. Пайплайн-апдейт (массив стадий) дополняем своей стадией.
+// Время везде берём с часов приложения, а не $$NOW сервера БД: иначе при
+// расхождении часов курсор дельты пропустит или повторит изменения
+conversationSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function () {
+  const update = this.getUpdate();
+  if (Array.isArray(update)) {
+    this.setUpdate([...update, { $set: { changedAt: { $literal: new Date() } } }]);
+  } else {
+    this.set({ changedAt: new Date() });
+  }
+});
+conversationSchema.pre('save', function () {
+  this.changedAt = new Date();
+  // Только новой беседе: у старой до миграции может быть дубль, и ключ
+  // на save упал бы на уникальном индексе — старым ключ ставит миграция
+  if (this.isNew && !this.pairKey && this.type !== 'group' && this.participants.length === 2) {
+    this.pairKey = buildPairKey(this.participants[0], this.participants[1], this.isPrivate);
+  }
+});
+
+// ─── Проекция в inbox (services/inboxService.js) ───────────────────────────
+// После апдейта пересобираем строки inbox затронутых бесед. findOneAndUpdate
+// возвращает документ — id берём из него; updateOne/updateMany в коде идут
+// по _id, и только для иного фильтра до апдейта нужен лишний distinct.
+// Сбой пересборки не роняет основной запрос (он уже записан): повторяем, а
+// если не вышло — помечаем беседы inboxStale для src/inboxRepairSweeper.js.
+const INBOX_SYNC_ATTEMPTS = 3;
+
+function filterIds(filter) {
+  const id = filter?._id;
+  if (id instanceof mongoose.Types.ObjectId || typeof id === 'string') return [id];
+  if (Array.isArray(id?.$in)) return id.$in;
+  return null;
+}
+
+async function syncInboxWithRetry(model, ids) {
+  for (let attempt = 1; attempt <= INBOX_SYNC_ATTEMPTS; attempt += 1) {
+    try {
+      const conversations = await model.find({ _id: { $in: ids } }).lean();
+      await syncInboxEntries(conversations);
+      return;
+    } catch (e) {
+      console.error(`[inbox] sync error (attempt ${attempt}/${INBOX_SYNC_ATTEMPTS}):`, e.message);
+      if (attempt < INBOX_SYNC_ATTEMPTS) await new Promise((resolve) => setTimeout(resolve, 100 * attempt));
+    }
+  }
+  // Метку ставим в обход хуков: это не изменение беседы для клиентов
+  try {
+    await model.collection.updateMany({ _id: { $in: ids } }, { $set: { inboxStale: true } });
+    console.error('[inbox] sync failed, marked stale:', ids.map(String).join(','));
+  } catch (e) {
+    console.error('[inbox] sync failed, stale mark lost — run scripts/backfillInbox.js:', ids.map(String).join(','), e.message);
+  }
+}
+
+conversationSchema.pre(['updateOne', 'updateMany'], async function () {
+  try {
+    this._inboxIds = filterIds(this.getFilter())
+      || await this.model.find(this.getFilter()).distinct('_id');
+  } catch (e) {
+    console.error('[inbox] capture error:', e.message);
+    this._inboxIds = [];
+  }
+});
+conversationSchema.post(['updateOne', 'updateMany'], async function (result) {
+  // Беседа, созданная upsert'ом, до апдейта не находилась — берём её id из ответа
+  const upsertedId = result?.upsertedId;
+  if (!upsertedId && result?.matchedCount === 0) return;
+  const ids = upsertedId ? [...(this._inboxIds || []), upsertedId] : this._inboxIds;
+  if (!ids?.length) return;
+  await syncInboxWithRetry(this.model, ids);
+});
+conversationSchema.post('findOneAndUpdate', async function (result) {
+  // Документ (до или после апдейта — неважно, нужен только _id); с
+  // includeResultMetadata — в value. null — ничего не совпало
+  const id = (result?.value !== undefined ? result.value : result)?._id;
+  if (!id) return;
+  await syncInboxWithRetry(this.model, [id]);
+});
+conversationSchema.post('save', async function () {
+  await syncInboxWithRetry(this.constructor, [this._id]);
+});
+
+// Жёсткое удаление — оставляем след для дельта-синхронизации клиентов
+// и убираем строки inbox
+conversationSchema.pre(['deleteOne', 'deleteMany'], async function () {
+  const deleted = await this.model.find(this.getFilter()).select('_id participants').lean();
+  if (deleted.length === 0) return;
+  await ConversationTombstone.insertMany(deleted.map((c) => ({
+    conversationId: c._id,
+    participants: c.participants,
+  })));
+  await removeInboxEntries(deleted.map((c) => c._id));
 });
 
 // Составной индекс для getConversations: find({ participants }).sort({ updatedAt: -1 })
 conversationSchema.index({ participants: 1, updatedAt: -1 });
-// Уникальная пара участников — запрет дублирующих чатов между одними юзерами
-conversationSchema.index({ participants: 1 }, { unique: false });
+// Дельта-синхронизация GET /chats/sync: (changedAt, _id) — курсор
+conversationSchema.index({ participants: 1, changedAt: 1, _id: 1 });
+conversationSchema.index({ participants: 1 });
+conversationSchema.index({ inboxStale: 1 }, { partialFilterExpression: { inboxStale: true } });
+// Уникальная пара участников и типа — запрет дублирующих чатов между одними
+// юзерами. Частичный: беседы без ключа (до миграции) в индекс не попадают.
+conversationSchema.index(
+  { pairKey: 1 },
+  { unique: true, partialFilterExpression: { pairKey: { $type: 'string' } } }
+);
+
+/**
+ * Найти беседу пары нужного типа или атомарно создать её (upsert по pairKey —
+ * параллельные запросы получат одну и ту же беседу).
+ * @param {string|ObjectId} userA
+ * @param {string|ObjectId} userB
+ * @param {boolean} isPrivate
+ * @param {object} [fieldsOnInsert] - поля только для новой беседы
+ * @returns {Promise<{ conversation: object, created: boolean }>}
+ */
+conversationSchema.statics.findOrCreatePair = async function (userA, userB, isPrivate, fieldsOnInsert = {}) {
+  const pairKey = buildPairKey(userA, userB, isPrivate);
+  const upsert = () => this.findOneAndUpdate(
+    { pairKey },
+    {
+      $setOnInsert: {
+        ...fieldsOnInsert,
+        participants: [userA, userB],
+        isPrivate: !!isPrivate,
+        pairKey,
+      },
+    },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  let result;
+  try {
+    result = await upsert();
+  } catch (e) {
+    // Параллельный upsert успел вставить первым — теперь беседа найдётся
+    if (e?.code !== 11000) throw e;
+    result = await upsert();
+  }
+  return { conversation: result.value, created: !result.lastErrorObject?.updatedExisting };
+};
+
+conversationSchema.statics.buildPairKey = buildPairKey;
 
 const Conversation = chatConn.models.Conversation || chatConn.model('Conversation', conversationSchema);
 
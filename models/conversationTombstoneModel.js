@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { chatConn } = require('../src/db');
+
+// Сколько хранится запись об удалённом чате. Клиент, не синхронизировавшийся
+// дольше, получает resyncRequired и перезагружает список целиком.
+const TOMBSTONE_TTL_SEC = Number(process.env.SYNC_TOMBSTONE_TTL_SEC) || 30 * 24 * 3600;
+
+/**
+ * ConversationTombstone - След жёстко удалённой беседы для GET /chats/sync
+ *
+ * Сам документ беседы удалён, поэтому без следа дельта-синхронизация не
+ * узнала бы об удалении. Пишется хуком deleteOne/deleteMany модели
+ * Conversation, удаляется TTL-индексом.
+ */
+const conversationTombstoneSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // Участники удалённой беседы — кому сообщить об удалении
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  deletedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+conversationTombstoneSchema.index({ participants: 1, deletedAt: 1 });
+conversationTombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_TTL_SEC });
+
+const ConversationTombstone = chatConn.models.ConversationTombstone
+  || chatConn.model('ConversationTombstone', conversationTombstoneSchema);
+
+module.exports = ConversationTombstone;
+module.exports.TOMBSTONE_TTL_SEC = TOMBSTONE_TTL_SEC;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { chatConn } = require('../src/db');
+
+/**
+ * InboxEntry - Строка списка чатов одного пользователя (коллекция inbox)
+ *
+ * Денормализованная проекция Conversation: на каждую беседу — по документу на
+ * участника, с его личным состоянием (непрочитанные, закреплён, архив, без
+ * звука) плоскими полями. GET /chats — один диапазонный запрос по индексу
+ * вместо агрегации по общему документу беседы ($getField по Map unreadCount,
+ * $in по массивам pinnedBy/archivedBy/deletedFor).
+ *
+ * Источник истины — Conversation: строки пересобираются хуками модели беседы
+ * (services/inboxService.js) на каждом изменении, руками их не меняем.
+ * Заполнение существующих бесед — scripts/backfillInbox.js.
+ */
+const inboxEntrySchema = new mongoose.Schema({
+  // Владелец строки и беседа
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+  },
+  // Собеседник (карточка в списке); у группы — null
+  otherUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  // Виден ли чат в списке: не удалён пользователем (deletedFor) и не входящий
+  // приватный запрос (их показывает отдельная модалка)
+  listed: { type: Boolean, default: true },
+
+  // Личное состояние пользователя
+  unread: { type: Number, default: 0 },
+  markedUnread: { type: Boolean, default: false },
+  pinned: { type: Boolean, default: false },
+  archived: { type: Boolean, default: false },
+  // Запись mutedBy пользователя (until: null — навсегда); null — звук включён.
+  // Истёкшую заглушку хранит как есть — активность проверяется при чтении.
+  mute: {
+    type: new mongoose.Schema({ until: { type: Date, default: null } }, { _id: false }),
+    default: null,
+  },
+
+  // Общие поля беседы, нужные строке списка
+  type: { type: String, default: 'direct' },
+  // Группа: название, ключ аватара, число участников
+  title: { type: String, default: null },
+  avatarKey: { type: String, default: null },
+  memberCount: { type: Number, default: 2 },
+  isPrivate: { type: Boolean, default: false },
+  status: { type: String, default: 'active' },
+  initiatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  disappearingTimer: { type: String, default: 'off' },
+  lastMessage: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  // Порядок в списке — время последнего сообщения (Conversation.updatedAt)
+  sortKey: { type: Date, default: Date.now },
+
+  // changedAt беседы, из которой собрана строка: запоздавшая пересборка из
+  // более старого состояния не перезапишет свежую
+  sourceChangedAt: { type: Date, default: null },
+});
+
+inboxEntrySchema.index({ userId: 1, conversationId: 1 }, { unique: true });
+// GET /chats: основной список и архив, закреплённые первыми
+inboxEntrySchema.index({ userId: 1, listed: 1, archived: 1, pinned: -1, sortKey: -1 });
+inboxEntrySchema.index({ conversationId: 1 });
+
+const InboxEntry = chatConn.models.InboxEntry
+  || chatConn.model('InboxEntry', inboxEntrySchema, 'inbox');
+
+module.exports = InboxEntry;
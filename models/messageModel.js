@@ -17,20 +17,69 @@ const messageSchema = new mongoose.Schema({
     required: true,
   },
 
-  // Получатель
+  // Получатель. В группе получателей много — null, адресаты берутся из
+  // participants беседы, а прочтение — из её lastReadMessageId
   receiverId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required() { return !this.isGroup; },
+    default: null,
   },
 
-  // Тип сообщения
+  // Сообщение группового чата (isRead/deliveredAt у него не используются)
+  isGroup: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Тип сообщения. 'system' создаёт только сервер (services/systemMessageService.js),
+  // senderId у него — автор действия.
   messageType: {
     type: String,
-    enum: ['text', 'voice', 'image', 'sticker'],
+    enum: ['text', 'voice', 'image', 'sticker', 'system'],
     default: 'text',
   },
 
+  // Системное событие и его параметры (только для messageType 'system').
+  // Клиент собирает текст сам — так он локализуется.
+  //   private_chat_accepted      — получатель принял запрос на приватный чат
+  //   e2e_key_changed            — автор сменил ключ шифрования (переустановка)
+  //   disappearing_timer_changed — { timer }
+  //   missed_call                — { reason: 'cancelled' | 'rejected' }
+  //   conversation_restored      — автор вернул удалённый у себя чат
+  //   message_pinned             — { messageId } автор закрепил сообщение
+  //   group_created              — { title } автор создал группу
+  //   group_members_added        — { userIds } автор добавил участников
+  //   group_member_removed       — { userId } автор удалил участника
+  //   group_member_left          — автор вышел из группы
+  //   group_renamed              — { title }
+  //   group_avatar_changed       — автор сменил аватар группы
+  //   group_admin_changed        — { userId, isAdmin }
+  systemEvent: {
+    type: String,
+    enum: [
+      'private_chat_accepted',
+      'e2e_key_changed',
+      'disappearing_timer_changed',
+      'missed_call',
+      'conversation_restored',
+      'message_pinned',
+      'group_created',
+      'group_members_added',
+      'group_member_removed',
+      'group_member_left',
+      'group_renamed',
+      'group_avatar_changed',
+      'group_admin_changed',
+      null,
+    ],
+    default: null,
+  },
+  systemParams: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+
   // ID стикера из клиентского каталога (напр. 'rom_bigheart'). Не E2E: это не
   // пользовательский текст, а идентификатор пресета — как эмодзи.
   sticker: {
@@ -93,11 +142,42 @@ const messageSchema = new mongoose.Schema({
     default: null,
   },
 
-  // Ответ на сообщение
+  // Клиентский id сообщения (ключ идемпотентности). Уникален в рамках
+  // отправителя: ретрай отправки с тем же id не создаёт дубликат.
+  clientMessageId: {
+    type: String,
+    default: null,
+  },
+
+  // Пересланное сообщение: оригинал и его автор (клиент показывает
+  // «Переслано от …»). Медиа у пересланного — собственная копия в S3.
+  forwardedFrom: {
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+
+  // Ответ на сообщение: превью оригинала, которое собирает сервер (оригинал
+  // обязан быть в той же беседе). text/nonce — текст (или шифртекст) оригинала,
+  // для медиа — тип и данные миниатюры. Правка оригинала обновляет превью,
+  // удаление у всех — обнуляет содержимое и ставит isDeleted.
   replyTo: {
     _id: { type: mongoose.Schema.Types.ObjectId },
-    text: { type: String },
     senderId: { type: mongoose.Schema.Types.ObjectId },
+    messageType: { type: String },
+    text: { type: String },
+    nonce: { type: String },
+    sticker: { type: String },
+    photoKey: { type: String },
+    photoNonce: { type: String },
+    voiceDuration: { type: Number },
+    isDeleted: { type: Boolean },
+  },
+
+  // Дата доставки на устройство получателя (подтверждение сокета или push).
+  // null — отправлено, но ещё не доставлено. Статус: sent → delivered → read.
+  deliveredAt: {
+    type: Date,
+    default: null,
   },
 
   // Статус прочтения
@@ -118,7 +198,32 @@ const messageSchema = new mongoose.Schema({
     default: null,
   },
 
-  // Реакция сердечком (массив ID пользователей)
+  // Дата последнего редактирования (null — сообщение не редактировалось)
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Предыдущие версии текста (старые → новые); editedAt — когда версию заменили.
+  // Для приватного чата хранится шифртекст со своим nonce — сервер его не читает.
+  editHistory: [{
+    _id: false,
+    text: { type: String, default: '' },
+    nonce: { type: String, default: null },
+    editedAt: { type: Date },
+  }],
+
+  // Реакции: не больше одной на пользователя (новая заменяет прежнюю).
+  // emoji — из палитры REACTION_EMOJIS (utils/reactions.js).
+  reactions: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    emoji: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+  }],
+
+  // ЛЕГАСИ: реакция сердечком до появления reactions. Новые записи сюда не
+  // пишутся; scripts/migrateHeartsToReactions.js переносит их в reactions.
   heartedBy: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -136,6 +241,13 @@ const messageSchema = new mongoose.Schema({
     default: false,
   },
 
+  // Когда сообщение исчезнет (таймер беседы на момент отправки). null — не
+  // исчезает. Удаляет src/disappearingMessageSweeper.js вместе с медиа в S3.
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+
   // Дата создания
   createdAt: {
     type: Date,
@@ -146,8 +258,32 @@ const messageSchema = new mongoose.Schema({
 // Индексы для быстрого поиска
 // Основной индекс для getMessages: фильтрация + сортировка
 messageSchema.index({ conversationId: 1, deletedForAll: 1, createdAt: -1 });
+// Курсорная пагинация getMessages (before/after/around): порядок (createdAt, _id)
+messageSchema.index({ conversationId: 1, createdAt: -1, _id: -1 });
 // Для markAsRead: receiverId + isRead
 messageSchema.index({ conversationId: 1, receiverId: 1, isRead: 1 });
+// Полнотекстовый поиск (GET /chats/search). Язык 'none' — без стемминга:
+// переписка смешивает языки, стемминг под один ломает поиск по другим.
+// Шифртекст приватных чатов тоже попадает в индекс, но отсекается в запросе.
+messageSchema.index({ text: 'text' }, { default_language: 'none', name: 'message_text_search' });
+// Идемпотентная отправка: один clientMessageId на отправителя. Частичный индекс —
+// сообщения без ключа (старые клиенты) ограничением не затрагиваются.
+messageSchema.index(
+  { senderId: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+// Обновление превью ответов при правке/удалении оригинала
+messageSchema.index(
+  { 'replyTo._id': 1 },
+  { partialFilterExpression: { 'replyTo._id': { $exists: true } } }
+);
+// Для подтверждений доставки: входящие юзера, ещё не доставленные
+messageSchema.index({ receiverId: 1, deliveredAt: 1 });
+// Для очистки исчезающих сообщений: частичный — обычные сообщения в индекс не попадают
+messageSchema.index(
+  { expiresAt: 1 },
+  { partialFilterExpression: { expiresAt: { $type: 'date' } } }
+);
 messageSchema.index({ senderId: 1 });
 messageSchema.index({ receiverId: 1 });
 
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { chatConn } = require('../src/db');
+
+/**
+ * ScheduledMessage - Отложенное сообщение (отправится в sendAt)
+ *
+ * Отправку выполняет src/scheduledMessageWorker.js через тот же конвейер,
+ * что и POST /chats/:recipientId/messages — блокировки и премиум
+ * перепроверяются в момент отправки, а не при планировании.
+ */
+const scheduledMessageSchema = new mongoose.Schema({
+  // Отправитель (автор) и получатель
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // Тело сообщения в формате schemas.sendMessage (messageType, text, nonce,
+  // voice*/photo*/sticker, replyTo, isPrivate) — уходит в sendChatMessage как есть
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+
+  // Когда отправить
+  sendAt: {
+    type: Date,
+    required: true,
+  },
+
+  // pending → sending → sent | failed; cancelled — отменено автором
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending',
+  },
+
+  // Сколько раз воркер брал сообщение в работу
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+
+  // Когда воркер захватил сообщение (зависший 'sending' перезахватывается)
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Причина неудачи (code — как в ответах sendMessage: BLOCKED, PREMIUM_REQUIRED…)
+  lastError: {
+    code: { type: String, default: null },
+    message: { type: String, default: null },
+  },
+
+  // Отправленное сообщение и время фактической отправки
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null,
+  },
+  sentAt: {
+    type: Date,
+    default: null,
+  },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Воркер: ближайшие к отправке
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+// Список отложенных у автора
+scheduledMessageSchema.index({ senderId: 1, status: 1, sendAt: 1 });
+
+const ScheduledMessage = chatConn.models.ScheduledMessage
+  || chatConn.model('ScheduledMessage', scheduledMessageSchema);
+
+module.exports = ScheduledMessage;
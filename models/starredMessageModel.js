@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { chatConn } = require('../src/db');
+
+/**
+ * StarredMessage - Сообщение, сохранённое пользователем в «Избранное»
+ *
+ * Личная закладка: собеседник о ней не знает. Снимается автоматически, когда
+ * сообщение удалено у этого пользователя или у всех (в т.ч. исчезло по таймеру).
+ */
+const starredMessageSchema = new mongoose.Schema({
+  // Кто сохранил
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // Сохранённое сообщение и его беседа (для очистки при удалении чата)
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true,
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+  },
+
+  // Когда сохранено (порядок в списке — новые сверху)
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Одна закладка на сообщение у пользователя
+starredMessageSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+// Список GET /chats/starred
+starredMessageSchema.index({ userId: 1, createdAt: -1 });
+// Очистка при удалении сообщений / чатов
+starredMessageSchema.index({ messageId: 1 });
+starredMessageSchema.index({ conversationId: 1 });
+
+const StarredMessage = chatConn.models.StarredMessage
+  || chatConn.model('StarredMessage', starredMessageSchema);
+
+module.exports = StarredMessage;
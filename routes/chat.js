@@ -8,14 +8,35 @@ const path = require('path');
 const { authRequired } = require('../middlewares/auth');
 const { validate, schemas } = require('../middlewares/validate');
 const { photoRateLimit } = require('../middlewares/photoRateLimit');
+const { forwardRateLimit } = require('../middlewares/forwardRateLimit');
 const {
   getConversations,
+  syncConversations,
   getMessages,
+  searchMessages,
   sendMessage,
+  scheduleMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage,
   getStickerPacks,
   markAsRead,
+  repairUnread,
+  markAsUnread,
+  acknowledgeDelivery,
   startConversation,
   togglePinConversation,
+  setDisappearingTimer,
+  archiveConversation,
+  unarchiveConversation,
+  muteConversation,
+  unmuteConversation,
+  getChatFolders,
+  createChatFolder,
+  updateChatFolder,
+  deleteChatFolder,
+  addConversationsToFolder,
+  removeConversationFromFolder,
   deleteConversations,
   deletePrivateConversations,
   requestPrivateConversation,
@@ -28,10 +49,30 @@ const {
   unregisterPushToken,
   debugPush,
   toggleHeartReaction,
+  reactToMessage,
+  removeReaction,
   registerPublicKey,
   getPublicKey,
   deleteAllChats,
   deleteMessage,
+  editMessage,
+  forwardMessage,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
+  starMessage,
+  unstarMessage,
+  getStarredMessages,
+  createGroup,
+  getGroup,
+  updateGroup,
+  addGroupMembers,
+  removeGroupMember,
+  leaveGroup,
+  setGroupAdmin,
+  getGroupMessages,
+  sendGroupMessage,
+  markGroupAsRead,
 } = require('../controllers/chatController');
 
 // S3 configuration for voice uploads
@@ -71,27 +112,126 @@ const voiceUpload = multer({
 });
 
 // GET /chats - Получить список всех чатов пользователя
+// (?folder=archived — архив, ?folderId= — пользовательская папка)
 router.get('/chats', authRequired, getConversations);
 
+// GET /chats/sync?since= - Дельта списка чатов с прошлой синхронизации
+router.get('/chats/sync', authRequired, syncConversations);
+
+// POST /chats/unread/repair - Пересчитать счётчики непрочитанных из сообщений
+router.post('/chats/unread/repair', authRequired, repairUnread);
+
 // GET /chats/stickerpacks - Каталог стикерпаков для пикера
 // (статичный путь ДО параметрических /chats/:recipientId/*)
 router.get('/chats/stickerpacks', authRequired, getStickerPacks);
 
+// GET /chats/search?q= - Поиск по сообщениям во всех обычных (не E2E) чатах
+router.get('/chats/search', authRequired, searchMessages);
+
+// Папки чатов (личные)
+// GET /chats/folders - Папки пользователя с непрочитанными по каждой
+router.get('/chats/folders', authRequired, getChatFolders);
+
+// POST /chats/folders - Создать папку
+router.post('/chats/folders', authRequired, validate(schemas.createChatFolder), createChatFolder);
+
+// PATCH /chats/folders/:folderId - Переименовать / переставить папку
+router.patch('/chats/folders/:folderId', authRequired, validate(schemas.updateChatFolder), updateChatFolder);
+
+// DELETE /chats/folders/:folderId - Удалить папку (чаты остаются)
+router.delete('/chats/folders/:folderId', authRequired, deleteChatFolder);
+
+// POST /chats/folders/:folderId/conversations - Добавить чаты в папку
+router.post('/chats/folders/:folderId/conversations', authRequired, validate(schemas.chatFolderConversations), addConversationsToFolder);
+
+// DELETE /chats/folders/:folderId/conversations/:conversationId - Убрать чат из папки
+router.delete('/chats/folders/:folderId/conversations/:conversationId', authRequired, removeConversationFromFolder);
+
+// GET /chats/starred - «Избранное» пользователя по всем чатам
+router.get('/chats/starred', authRequired, getStarredMessages);
+
+// GET /chats/scheduled?recipientId= - Отложенные сообщения, ждущие отправки
+router.get('/chats/scheduled', authRequired, getScheduledMessages);
+
+// Групповые чаты (статичный префикс ДО параметрических /chats/:recipientId/*)
+// POST /chats/groups - Создать группу
+router.post('/chats/groups', authRequired, validate(schemas.createGroup), createGroup);
+
+// GET /chats/groups/:conversationId - Шапка группы и участники
+router.get('/chats/groups/:conversationId', authRequired, getGroup);
+
+// PATCH /chats/groups/:conversationId - Название / аватар группы (админ)
+router.patch('/chats/groups/:conversationId', authRequired, validate(schemas.updateGroup), updateGroup);
+
+// POST /chats/groups/:conversationId/members - Добавить участников (админ)
+router.post('/chats/groups/:conversationId/members', authRequired, validate(schemas.groupMembers), addGroupMembers);
+
+// DELETE /chats/groups/:conversationId/members/:userId - Удалить участника (админ)
+router.delete('/chats/groups/:conversationId/members/:userId', authRequired, removeGroupMember);
+
+// POST /chats/groups/:conversationId/leave - Выйти из группы
+router.post('/chats/groups/:conversationId/leave', authRequired, leaveGroup);
+
+// PUT /chats/groups/:conversationId/admins/:userId - Назначить админа
+router.put('/chats/groups/:conversationId/admins/:userId', authRequired, setGroupAdmin);
+
+// DELETE /chats/groups/:conversationId/admins/:userId - Снять админа
+router.delete('/chats/groups/:conversationId/admins/:userId', authRequired, setGroupAdmin);
+
+// GET /chats/groups/:conversationId/messages - Сообщения группы
+router.get('/chats/groups/:conversationId/messages', authRequired, getGroupMessages);
+
+// POST /chats/groups/:conversationId/messages - Отправить сообщение в группу
+router.post('/chats/groups/:conversationId/messages', authRequired, validate(schemas.sendMessage), sendGroupMessage);
+
+// POST /chats/groups/:conversationId/read - Прочитать группу (отметки прочтения)
+router.post('/chats/groups/:conversationId/read', authRequired, validate(schemas.markAsRead), markGroupAsRead);
+
 // GET /chats/start/:recipientId - Начать/получить чат с пользователем
 router.get('/chats/start/:recipientId', authRequired, startConversation);
 
 // GET /chats/:recipientId/messages - Получить сообщения чата
 router.get('/chats/:recipientId/messages', authRequired, getMessages);
 
+// GET /chats/:recipientId/messages/search?q= - Поиск в одном чате
+router.get('/chats/:recipientId/messages/search', authRequired, searchMessages);
+
 // POST /chats/:recipientId/messages - Отправить сообщение
 router.post('/chats/:recipientId/messages', authRequired, validate(schemas.sendMessage), sendMessage);
 
+// POST /chats/:recipientId/messages/scheduled - Запланировать сообщение на sendAt
+router.post('/chats/:recipientId/messages/scheduled', authRequired, validate(schemas.scheduleMessage), scheduleMessage);
+
+// PATCH /chats/scheduled/:scheduledId - Изменить текст/время отложенного сообщения
+router.patch('/chats/scheduled/:scheduledId', authRequired, validate(schemas.updateScheduledMessage), updateScheduledMessage);
+
+// DELETE /chats/scheduled/:scheduledId - Отменить отложенное сообщение
+router.delete('/chats/scheduled/:scheduledId', authRequired, cancelScheduledMessage);
+
 // POST /chats/:conversationId/read - Отметить сообщения как прочитанные
-router.post('/chats/:conversationId/read', authRequired, markAsRead);
+router.post('/chats/:conversationId/read', authRequired, validate(schemas.markAsRead), markAsRead);
+
+// POST /chats/:conversationId/unread - Пометить чат непрочитанным (личная «точка»)
+router.post('/chats/:conversationId/unread', authRequired, markAsUnread);
 
 // POST /chats/:conversationId/pin - Закрепить/открепить чат (toggle)
 router.post('/chats/:conversationId/pin', authRequired, togglePinConversation);
 
+// POST /chats/:conversationId/archive - Убрать чат в архив
+router.post('/chats/:conversationId/archive', authRequired, archiveConversation);
+
+// DELETE /chats/:conversationId/archive - Вернуть чат из архива
+router.delete('/chats/:conversationId/archive', authRequired, unarchiveConversation);
+
+// POST /chats/:conversationId/mute - Заглушить чат (1h / 8h / 1w / forever)
+router.post('/chats/:conversationId/mute', authRequired, validate(schemas.muteConversation), muteConversation);
+
+// DELETE /chats/:conversationId/mute - Включить звук чата
+router.delete('/chats/:conversationId/mute', authRequired, unmuteConversation);
+
+// PUT /chats/:conversationId/disappearing - Таймер исчезающих сообщений
+router.put('/chats/:conversationId/disappearing', authRequired, validate(schemas.disappearingTimer), setDisappearingTimer);
+
 // DELETE /chats - Удалить чаты
 router.delete('/chats', authRequired, deleteConversations);
 
@@ -135,11 +275,43 @@ router.post('/chats/push-token', authRequired, validate(schemas.pushToken), regi
 router.delete('/chats/push-token', authRequired, unregisterPushToken);
 
 // POST /chats/messages/:messageId/heart - Поставить/снять реакцию сердечком
+// (легаси-алиас reactions для старых клиентов)
 router.post('/chats/messages/:messageId/heart', authRequired, toggleHeartReaction);
 
+// POST /chats/messages/:messageId/reactions - Поставить/заменить/снять реакцию
+router.post('/chats/messages/:messageId/reactions', authRequired, validate(schemas.reaction), reactToMessage);
+
+// DELETE /chats/messages/:messageId/reactions - Снять свою реакцию
+router.delete('/chats/messages/:messageId/reactions', authRequired, removeReaction);
+
+// POST /chats/messages/delivered - Подтвердить доставку (фоновый обработчик push)
+router.post('/chats/messages/delivered', authRequired, validate(schemas.messagesDelivered), acknowledgeDelivery);
+
+// GET /chats/:conversationId/pinned-messages - Закреплённые сообщения чата
+router.get('/chats/:conversationId/pinned-messages', authRequired, getPinnedMessages);
+
+// POST /chats/messages/:messageId/pin - Закрепить сообщение в чате (для всех участников)
+router.post('/chats/messages/:messageId/pin', authRequired, pinMessage);
+
+// DELETE /chats/messages/:messageId/pin - Открепить сообщение
+router.delete('/chats/messages/:messageId/pin', authRequired, unpinMessage);
+
+// POST /chats/messages/:messageId/star - Сохранить сообщение в «Избранное»
+router.post('/chats/messages/:messageId/star', authRequired, starMessage);
+
+// DELETE /chats/messages/:messageId/star - Убрать из «Избранного»
+router.delete('/chats/messages/:messageId/star', authRequired, unstarMessage);
+
 // DELETE /chats/messages/:messageId - Удалить сообщение (для себя или для всех)
 router.delete('/chats/messages/:messageId', authRequired, deleteMessage);
 
+// PATCH /chats/messages/:messageId - Отредактировать текст сообщения (только отправитель)
+router.patch('/chats/messages/:messageId', authRequired, validate(schemas.editMessage), editMessage);
+
+// POST /chats/messages/:messageId/forward - Переслать сообщение в другие чаты
+// forwardRateLimit — по числу целей: messageLimiter считает запрос один раз
+router.post('/chats/messages/:messageId/forward', authRequired, validate(schemas.forwardMessage), forwardRateLimit, forwardMessage);
+
 // POST /chats/keys/register - Сохранить публичный E2E ключ
 router.post('/chats/keys/register', authRequired, validate(schemas.registerPublicKey), registerPublicKey);
 
@@ -0,0 +1,52 @@
+/**
+ * Заполняет коллекцию inbox (строки списка чатов) из существующих бесед.
+ *
+ * Использование:
+ *   node scripts/backfillInbox.js            — заполнение
+ *   DRY_RUN=true node scripts/backfillInbox.js — только посчитать
+ *
+ * Новые изменения бесед попадают в inbox хуками conversationModel, старые —
+ * только этим скриптом. GET /chats читает inbox, поэтому порядок выкатки:
+ * запустить до деплоя (заполнить), деплой, запустить ещё раз (добрать беседы,
+ * изменённые старыми инстансами в промежутке). Идемпотентен: строка из более
+ * свежего состояния беседы не перезаписывается (sourceChangedAt), так что
+ * запускать можно на живой базе. Сбои пересборки на живом сервере дочиняет
+ * src/inboxRepairSweeper.js; скрипт нужен, если не удалось даже пометить
+ * беседу (в логах сервера — «[inbox] sync failed, stale mark lost»).
+ */
+require('dotenv').config();
+
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const BATCH_SIZE = 500;
+
+async function main() {
+  // Модели используют chatConn из src/db (molo_chat) — подключается на require.
+  const Conversation = require('../models/conversationModel');
+  const { syncInboxEntries } = require('../services/inboxService');
+  const { chatConn, authConn } = require('../src/db');
+  await chatConn.asPromise();
+
+  let scanned = 0;
+  let rows = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    if (!DRY_RUN) await syncInboxEntries(batch);
+    rows += batch.reduce((sum, c) => sum + c.participants.length, 0);
+    batch = [];
+  };
+
+  for await (const conversation of Conversation.find().lean().cursor()) {
+    scanned += 1;
+    batch.push(conversation);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${DRY_RUN ? '[DRY RUN] ' : ''}Бесед: ${scanned}, строк inbox: ${rows}`);
+  await chatConn.close();
+  await authConn.close();
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
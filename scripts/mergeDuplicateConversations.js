@@ -0,0 +1,183 @@
+/**
+ * Сливает дублирующие беседы (одна пара участников + один тип чата) и
+ * проставляет pairKey всем беседам, после чего строит уникальный индекс.
+ *
+ * Использование:
+ *   node scripts/mergeDuplicateConversations.js            — миграция
+ *   DRY_RUN=true node scripts/mergeDuplicateConversations.js — только показать дубли
+ *
+ * Дубли появлялись из-за гонки find-then-create в sendMessage/startConversation.
+ * Из группы дублей остаётся одна беседа: активная (если такая есть), а среди
+ * них — самая старая; её статус и остаётся.
+ * В неё переезжают сообщения, избранное и ссылки из папок; личное состояние
+ * участников объединяется (закреплён/заглушён/помечен непрочитанным — если так
+ * хотя бы в одной; удалён/в архиве — только если так во всех), счётчики
+ * непрочитанных и lastMessage пересчитываются. Остальные беседы удаляются
+ * (клиенты получат их в removed из GET /chats/sync).
+ *
+ * Идемпотентен: повторный запуск находит 0 дублей. Запускать можно на живой
+ * базе; до его завершения уникальный индекс по pairKey не построится
+ * (autoIndex сервера упадёт на дублях — это ожидаемо, в логах увидите).
+ */
+require('dotenv').config();
+
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const BATCH_SIZE = 500;
+
+const idSet = (lists) => [...new Set(lists.flat().filter(Boolean).map(String))];
+
+// Поля объединённой беседы из всех дублей группы (survivor — первый)
+function mergeState(group) {
+  const [survivor] = group;
+  const participants = survivor.participants.map(String);
+  const every = (field, userId) => group.every((c) => (c[field] || []).some((id) => String(id) === userId));
+
+  const mutedBy = [];
+  participants.forEach((userId) => {
+    const entry = group.flatMap((c) => c.mutedBy || []).find((m) => String(m.userId) === userId);
+    if (entry) mutedBy.push(entry);
+  });
+
+  const pinnedMessages = [];
+  const seenPinned = new Set();
+  group.flatMap((c) => c.pinnedMessages || [])
+    .sort((a, b) => a.pinnedAt - b.pinnedAt)
+    .forEach((p) => {
+      if (seenPinned.has(String(p.messageId))) return;
+      seenPinned.add(String(p.messageId));
+      pinnedMessages.push(p);
+    });
+
+  // Последнее прочитанное — самое позднее из дублей (ObjectId растут со временем)
+  const lastReadMessageId = {};
+  participants.forEach((userId) => {
+    const ids = group.map((c) => c.lastReadMessageId?.[userId]).filter(Boolean);
+    if (ids.length) lastReadMessageId[userId] = ids.sort((a, b) => String(a).localeCompare(String(b))).pop();
+  });
+
+  return {
+    pinnedBy: idSet(group.map((c) => c.pinnedBy || [])),
+    markedUnreadBy: idSet(group.map((c) => c.markedUnreadBy || [])),
+    archivedBy: participants.filter((userId) => every('archivedBy', userId)),
+    deletedFor: participants.filter((userId) => every('deletedFor', userId)),
+    mutedBy,
+    // Лимит закреплённых — последние (как при обычном закреплении)
+    pinnedMessages: pinnedMessages.slice(-5),
+    lastReadMessageId,
+    updatedAt: new Date(Math.max(...group.map((c) => new Date(c.updatedAt).getTime()))),
+  };
+}
+
+async function main() {
+  // Модели используют chatConn из src/db (molo_chat) — подключается на require.
+  const mongoose = require('mongoose');
+  const Conversation = require('../models/conversationModel');
+  const Message = require('../models/messageModel');
+  const StarredMessage = require('../models/starredMessageModel');
+  const ChatFolder = require('../models/chatFolderModel');
+  const { refreshLastMessage, repairUnreadCounts } = require('../services/messageService');
+  const { chatConn, authConn } = require('../src/db');
+  await chatConn.asPromise();
+
+  // 1. Группы дублей: отсортированная пара участников + тип
+  const groups = await Conversation.aggregate([
+    {
+      $match: {
+        type: { $ne: 'group' },
+        'participants.1': { $exists: true },
+        'participants.2': { $exists: false },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          participants: { $sortArray: { input: '$participants', sortBy: 1 } },
+          isPrivate: { $ifNull: ['$isPrivate', false] },
+        },
+        ids: { $push: '$_id' },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ]).allowDiskUse(true);
+
+  let merged = 0;
+  for (const { ids } of groups) {
+    const group = await Conversation.find({ _id: { $in: ids } }).lean();
+    group.sort((a, b) => (a.status === 'active' ? 0 : 1) - (b.status === 'active' ? 0 : 1)
+      || new Date(a.createdAt) - new Date(b.createdAt));
+    const [survivor, ...duplicates] = group;
+    const duplicateIds = duplicates.map((c) => c._id);
+
+    console.log(`  ${survivor._id} ← ${duplicateIds.join(', ')}`);
+    merged += duplicateIds.length;
+    if (DRY_RUN) continue;
+
+    const toObjectIds = (list) => list.map((id) => new mongoose.Types.ObjectId(id));
+    const state = mergeState(group);
+
+    await Message.updateMany({ conversationId: { $in: duplicateIds } }, { $set: { conversationId: survivor._id } });
+    await StarredMessage.updateMany({ conversationId: { $in: duplicateIds } }, { $set: { conversationId: survivor._id } });
+    await ChatFolder.updateMany({ conversationIds: { $in: duplicateIds } }, { $addToSet: { conversationIds: survivor._id } });
+    await ChatFolder.updateMany(
+      { conversationIds: { $in: duplicateIds } },
+      { $pull: { conversationIds: { $in: duplicateIds } } }
+    );
+
+    await Conversation.updateOne(
+      { _id: survivor._id },
+      {
+        $set: {
+          pinnedBy: toObjectIds(state.pinnedBy),
+          markedUnreadBy: toObjectIds(state.markedUnreadBy),
+          archivedBy: toObjectIds(state.archivedBy),
+          deletedFor: toObjectIds(state.deletedFor),
+          mutedBy: state.mutedBy,
+          pinnedMessages: state.pinnedMessages,
+          lastReadMessageId: state.lastReadMessageId,
+          updatedAt: state.updatedAt,
+        },
+      }
+    );
+    await Conversation.deleteMany({ _id: { $in: duplicateIds } });
+
+    await refreshLastMessage(survivor._id);
+    const fresh = await Conversation.findById(survivor._id).select('_id participants unreadCount').lean();
+    await repairUnreadCounts([fresh]);
+  }
+
+  // 2. pairKey всем беседам пары, у которых его ещё нет
+  let keyed = 0;
+  let ops = [];
+  const flush = async () => {
+    if (ops.length === 0) return;
+    if (!DRY_RUN) await Conversation.bulkWrite(ops, { ordered: false });
+    keyed += ops.length;
+    ops = [];
+  };
+  const cursor = Conversation.find({
+    pairKey: { $exists: false },
+    type: { $ne: 'group' },
+    'participants.1': { $exists: true },
+    'participants.2': { $exists: false },
+  }).select('_id participants isPrivate').lean().cursor();
+  for await (const c of cursor) {
+    ops.push({
+      updateOne: {
+        filter: { _id: c._id },
+        update: { $set: { pairKey: Conversation.buildPairKey(c.participants[0], c.participants[1], c.isPrivate) } },
+      },
+    });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  // 3. Уникальный индекс по pairKey (на дублях autoIndex сервера не построил бы его)
+  if (!DRY_RUN) await Conversation.createIndexes();
+
+  console.log(`${DRY_RUN ? '[DRY RUN] ' : ''}Групп дублей: ${groups.length}, слито бесед: ${merged}, проставлено pairKey: ${keyed}`);
+  await chatConn.close();
+  await authConn.close();
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,67 @@
+/**
+ * Переносит легаси-реакции heartedBy (одно «сердечко») в массив reactions.
+ *
+ * Использование:
+ *   node scripts/migrateHeartsToReactions.js            — миграция
+ *   DRY_RUN=true node scripts/migrateHeartsToReactions.js — только посчитать
+ *
+ * Для каждого сообщения с непустым heartedBy добавляет { userId, emoji: '❤️' }
+ * тем, у кого ещё нет реакции в reactions (одна реакция на юзера — уже
+ * поставленная новая реакция главнее), и очищает heartedBy. Идемпотентен:
+ * повторный запуск ничего не меняет. До миграции сервер читает heartedBy
+ * наравне с reactions, так что запускать можно на живой базе.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { HEART } = require('../utils/reactions');
+
+const CHAT_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/molo_chat';
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const BATCH_SIZE = 500;
+
+async function main() {
+  await mongoose.connect(CHAT_URI);
+  const messages = mongoose.connection.collection('messages');
+
+  const cursor = messages.find(
+    { 'heartedBy.0': { $exists: true } },
+    { projection: { heartedBy: 1, reactions: 1 } }
+  );
+
+  let scanned = 0;
+  let migrated = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+    if (!DRY_RUN) await messages.bulkWrite(ops, { ordered: false });
+    migrated += ops.length;
+    ops = [];
+  };
+
+  for await (const msg of cursor) {
+    scanned += 1;
+    const reactions = Array.isArray(msg.reactions) ? [...msg.reactions] : [];
+    const reacted = new Set(reactions.map((r) => String(r.userId)));
+
+    msg.heartedBy.forEach((userId) => {
+      if (reacted.has(String(userId))) return;
+      reacted.add(String(userId));
+      reactions.push({ userId, emoji: HEART, createdAt: msg._id.getTimestamp() });
+    });
+
+    ops.push({
+      updateOne: {
+        filter: { _id: msg._id },
+        update: { $set: { reactions, heartedBy: [] } },
+      },
+    });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${DRY_RUN ? '[DRY RUN] ' : ''}Сообщений с heartedBy: ${scanned}, перенесено: ${migrated}`);
+  await mongoose.disconnect();
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,61 @@
+/**
+ * Пересчитывает unreadCount бесед из непрочитанных сообщений.
+ *
+ * Использование:
+ *   node scripts/repairUnreadCounts.js                        — все беседы
+ *   USER_ID=<id> node scripts/repairUnreadCounts.js           — счётчики пользователя
+ *   CONVERSATION_ID=<id> node scripts/repairUnreadCounts.js   — одна беседа
+ *   DRY_RUN=true node scripts/repairUnreadCounts.js           — только показать расхождения
+ *
+ * Нужен для счётчиков, разошедшихся до перехода на атомарный $inc (или после
+ * сбоя). Пользователь может сделать то же для себя — POST /chats/unread/repair.
+ * Запускать можно на живой базе: входящее, пришедшее ровно между подсчётом и
+ * записью, может выпасть из счётчика — повторный запуск это исправит.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const { USER_ID, CONVERSATION_ID } = process.env;
+const BATCH_SIZE = 200;
+
+async function main() {
+  if (USER_ID && !mongoose.Types.ObjectId.isValid(USER_ID)) throw new Error('Invalid USER_ID');
+  if (CONVERSATION_ID && !mongoose.Types.ObjectId.isValid(CONVERSATION_ID)) throw new Error('Invalid CONVERSATION_ID');
+
+  // Модели используют chatConn из src/db (molo_chat) — подключается на require.
+  const Conversation = require('../models/conversationModel');
+  const { repairUnreadCounts } = require('../services/messageService');
+  const { chatConn, authConn } = require('../src/db');
+  await chatConn.asPromise();
+
+  const filter = {};
+  if (USER_ID) filter.participants = new mongoose.Types.ObjectId(USER_ID);
+  if (CONVERSATION_ID) filter._id = new mongoose.Types.ObjectId(CONVERSATION_ID);
+
+  let scanned = 0;
+  let fixed = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const rows = await repairUnreadCounts(batch, USER_ID || null, { dryRun: DRY_RUN });
+    rows.forEach((r) => console.log(`  ${r.conversationId} / ${r.userId}: ${r.before} → ${r.after}`));
+    fixed += rows.length;
+    batch = [];
+  };
+
+  const cursor = Conversation.find(filter).select('_id participants unreadCount type lastReadMessageId').lean().cursor();
+  for await (const conversation of cursor) {
+    scanned += 1;
+    batch.push(conversation);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${DRY_RUN ? '[DRY RUN] ' : ''}Бесед: ${scanned}, исправлено счётчиков: ${fixed}`);
+  await chatConn.close();
+  await authConn.close();
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
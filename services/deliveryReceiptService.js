@@ -0,0 +1,66 @@
+/**
+ * Delivery Receipt Service - Отметки доставки сообщений (sent → delivered → read)
+ *
+ * «Доставлено» фиксируется, когда устройство получателя подтвердило приём:
+ * сокет (событие delivery_ack после new_message) или фоновый обработчик
+ * push-уведомления (REST POST /chats/messages/delivered).
+ */
+
+const mongoose = require('mongoose');
+const Message = require('../models/messageModel');
+const { emitToUser } = require('../src/socketManager');
+
+// Не больше стольких id за одно подтверждение (защита от гигантских $in)
+const MAX_ACK_BATCH = 500;
+
+/**
+ * Отметить входящие сообщения пользователя как доставленные
+ * @param {string} userId - ID получателя (подтверждает только свои входящие)
+ * @param {string[]} messageIds - ID полученных сообщений
+ * @returns {Promise<number>} сколько сообщений впервые отмечено доставленными
+ */
+async function markMessagesDelivered(userId, messageIds) {
+  if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) return 0;
+
+  const ids = [...new Set((Array.isArray(messageIds) ? messageIds : [])
+    .map(String)
+    .filter((id) => mongoose.Types.ObjectId.isValid(id)))]
+    .slice(0, MAX_ACK_BATCH)
+    .map((id) => new mongoose.Types.ObjectId(id));
+  if (ids.length === 0) return 0;
+
+  const filter = {
+    _id: { $in: ids },
+    receiverId: new mongoose.Types.ObjectId(userId),
+    deliveredAt: null,
+  };
+
+  // Сначала выбираем, кому слать уведомление, затем помечаем. Гонка двух
+  // подтверждений максимум продублирует событие — deliveredAt не перезапишется.
+  const pending = await Message.find(filter).select('_id senderId conversationId').lean();
+  if (pending.length === 0) return 0;
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: pending.map((m) => m._id) }, deliveredAt: null },
+    { deliveredAt }
+  );
+
+  // Группируем по (отправитель, беседа) — одно событие на чат
+  const groups = new Map();
+  pending.forEach((m) => {
+    const key = `${m.senderId}:${m.conversationId}`;
+    if (!groups.has(key)) {
+      groups.set(key, { senderId: String(m.senderId), conversationId: String(m.conversationId), messageIds: [] });
+    }
+    groups.get(key).messageIds.push(String(m._id));
+  });
+
+  groups.forEach(({ senderId, conversationId, messageIds: delivered }) => {
+    emitToUser(senderId, 'messages_delivered', { conversationId, messageIds: delivered, deliveredAt });
+  });
+
+  return pending.length;
+}
+
+module.exports = { markMessagesDelivered };
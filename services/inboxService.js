@@ -0,0 +1,117 @@
+/**
+ * Inbox Service - Поддержка коллекции inbox (models/inboxEntryModel.js)
+ *
+ * Строки inbox пересобираются целиком из документа беседы хуками
+ * conversationModel на каждом изменении — так их не нужно дублировать в
+ * каждом обработчике (sendMessage, markAsRead, закрепление, архив, mute…), и
+ * новый код, меняющий беседу, не может забыть про список чатов.
+ * Пересборка идемпотентна; порядок гарантирует sourceChangedAt.
+ */
+
+const InboxEntry = require('../models/inboxEntryModel');
+
+const DUPLICATE_KEY = 11000;
+
+const includesId = (list, id) => (list || []).some((x) => String(x) === String(id));
+
+// Map unreadCount: у lean-документа — объект, у гидрированного — Map
+function unreadFor(conversation, userId) {
+  const counts = conversation.unreadCount;
+  if (!counts) return 0;
+  const value = counts instanceof Map ? counts.get(String(userId)) : counts[String(userId)];
+  return value || 0;
+}
+
+/**
+ * Строка inbox участника userId из документа беседы
+ */
+function buildInboxEntry(conversation, userId) {
+  const uid = String(userId);
+  const isIncomingRequest = conversation.status === 'pending' && String(conversation.initiatorId) !== uid;
+  const mute = (conversation.mutedBy || []).find((m) => String(m.userId) === uid);
+  const isGroup = conversation.type === 'group';
+  return {
+    userId,
+    conversationId: conversation._id,
+    otherUserId: isGroup ? null : conversation.participants.find((p) => String(p) !== uid) || null,
+    listed: !includesId(conversation.deletedFor, uid) && !isIncomingRequest,
+    unread: unreadFor(conversation, uid),
+    markedUnread: includesId(conversation.markedUnreadBy, uid),
+    pinned: includesId(conversation.pinnedBy, uid),
+    archived: includesId(conversation.archivedBy, uid),
+    mute: mute ? { until: mute.until ?? null } : null,
+    type: isGroup ? 'group' : 'direct',
+    title: isGroup ? conversation.title || null : null,
+    avatarKey: isGroup ? conversation.avatarKey || null : null,
+    memberCount: conversation.participants.length,
+    isPrivate: conversation.isPrivate || false,
+    status: conversation.status || 'active',
+    initiatorId: conversation.initiatorId || null,
+    disappearingTimer: conversation.disappearingTimer || 'off',
+    lastMessage: conversation.lastMessage || null,
+    sortKey: conversation.updatedAt,
+    sourceChangedAt: conversation.changedAt || null,
+  };
+}
+
+/**
+ * Пересобрать строки inbox всех участников бесед
+ * @param {object[]} conversations - Документы бесед (lean или гидрированные)
+ */
+async function syncInboxEntries(conversations) {
+  const ops = [];
+  conversations.forEach((conversation) => {
+    conversation.participants.forEach((participantId) => {
+      const entry = buildInboxEntry(conversation, participantId);
+      ops.push({
+        updateOne: {
+          // Строку из более свежего состояния беседы не трогаем: фильтр не
+          // совпадёт, upsert упрётся в уникальный индекс — это ожидаемо
+          filter: {
+            userId: entry.userId,
+            conversationId: entry.conversationId,
+            $or: [
+              { sourceChangedAt: null },
+              { sourceChangedAt: { $lte: entry.sourceChangedAt } },
+            ],
+          },
+          update: { $set: entry },
+          upsert: true,
+        },
+      });
+    });
+    // Из группы участников удаляют — их строки уходят вместе с членством
+    if (conversation.type === 'group') {
+      ops.push({
+        deleteMany: {
+          filter: { conversationId: conversation._id, userId: { $nin: conversation.participants } },
+        },
+      });
+    }
+  });
+  if (ops.length === 0) return;
+
+  try {
+    await InboxEntry.bulkWrite(ops, { ordered: false });
+  } catch (e) {
+    const writeErrors = e.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some((w) => w.code !== DUPLICATE_KEY)) throw e;
+  }
+}
+
+/**
+ * Удалить строки inbox бесед (беседа удалена физически)
+ * @param {Array<ObjectId>} conversationIds
+ */
+async function removeInboxEntries(conversationIds) {
+  if (conversationIds.length === 0) return;
+  await InboxEntry.deleteMany({ conversationId: { $in: conversationIds } });
+}
+
+// Активна ли заглушка строки inbox (until: null — навсегда)
+function inboxMuteState(entry, now = new Date()) {
+  const active = entry.mute && (entry.mute.until === null || entry.mute.until > now);
+  return { isMuted: !!active, mutedUntil: active ? entry.mute.until : null };
+}
+
+module.exports = { buildInboxEntry, syncInboxEntries, removeInboxEntries, inboxMuteState };
@@ -0,0 +1,99 @@
+/**
+ * Media Storage - Медиа чата в S3 (voice/, chat-photos/)
+ *
+ * Presigned URL для приватных объектов, копирование (пересылка) и
+ * best-effort удаление файлов.
+ * Общий модуль для контроллера и фоновых воркеров (очистка исчезающих
+ * сообщений), чтобы у них был один S3-клиент и один кэш URL.
+ */
+
+const path = require('path');
+const { S3Client, GetObjectCommand, DeleteObjectsCommand, CopyObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const REGION = process.env.AWS_REGION || 'eu-central-1';
+const BUCKET = process.env.S3_BUCKET || 'molo-user-photos';
+const PRESIGNED_TTL_SEC = Number(process.env.S3_GET_TTL_SEC || 3600);
+// Кэшируем на 50 минут (URL действителен 60 мин — берём с запасом)
+const PRESIGNED_CACHE_TTL_MS = 50 * 60 * 1000;
+
+const s3 = new S3Client({
+  region: REGION,
+  credentials: process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+    ? {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      }
+    : undefined,
+});
+
+// Best-effort удаление медиа-файлов (voice/, chat-photos/) из S3.
+// Вызывается при удалении сообщений/чатов, чтобы не копить сироты в бакете.
+// Не бросает исключений — сбой очистки не должен ломать основной ответ.
+async function deleteMediaKeys(keys) {
+  const clean = [...new Set((keys || []).filter((k) => typeof k === 'string' && k.trim()))];
+  if (clean.length === 0) return { deleted: 0 };
+
+  let deleted = 0;
+  // DeleteObjects принимает до 1000 ключей за запрос
+  for (let i = 0; i < clean.length; i += 1000) {
+    const chunk = clean.slice(i, i + 1000);
+    try {
+      await s3.send(new DeleteObjectsCommand({
+        Bucket: BUCKET,
+        Delete: { Objects: chunk.map((Key) => ({ Key })), Quiet: true },
+      }));
+      deleted += chunk.length;
+    } catch (e) {
+      console.error('[chat] deleteMediaKeys failed for chunk:', e.name, e.message);
+    }
+  }
+  return { deleted };
+}
+
+// Копия медиа-объекта под новым ключом в том же префиксе (voice/, chat-photos/).
+// Нужна пересылке: у копии своя жизнь — удаление оригинала (у всех, исчезающие
+// сообщения) не ломает пересланное, и наоборот. Бросает исключение при сбое.
+async function copyMediaObject(key) {
+  const prefix = key.includes('/') ? key.slice(0, key.indexOf('/') + 1) : '';
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const newKey = `${prefix}${uniqueSuffix}${path.extname(key)}`;
+  await s3.send(new CopyObjectCommand({
+    Bucket: BUCKET,
+    CopySource: `${BUCKET}/${encodeURIComponent(key)}`,
+    Key: newKey,
+  }));
+  return newKey;
+}
+
+// In-memory кэш presigned URL: key → { url, expiresAt }
+// Ограничен по размеру, иначе Map растёт неограниченно при долгой работе процесса.
+const presignedUrlCache = new Map();
+const PRESIGNED_CACHE_MAX = 5000;
+
+// Генерация presigned URL для S3 с кэшированием
+async function getPhotoUrl(key) {
+  if (!key) return null;
+
+  const cached = presignedUrlCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.url;
+  }
+
+  try {
+    const cmd = new GetObjectCommand({ Bucket: BUCKET, Key: key });
+    const url = await getSignedUrl(s3, cmd, { expiresIn: PRESIGNED_TTL_SEC });
+    // Простая LRU-эвикция: при переполнении удаляем самый старый ключ (первый в Map).
+    // Просроченную запись перезаписываем — Map.set обновит позицию вставки.
+    if (presignedUrlCache.size >= PRESIGNED_CACHE_MAX && !presignedUrlCache.has(key)) {
+      presignedUrlCache.delete(presignedUrlCache.keys().next().value);
+    }
+    presignedUrlCache.set(key, { url, expiresAt: Date.now() + PRESIGNED_CACHE_TTL_MS });
+    return url;
+  } catch (e) {
+    console.error('[chat] getPhotoUrl error:', e);
+    return null;
+  }
+}
+
+module.exports = { REGION, BUCKET, getPhotoUrl, deleteMediaKeys, copyMediaObject };
@@ -0,0 +1,921 @@
+/**
+ * Message Service - Общий конвейер отправки сообщения
+ *
+ * Используется REST (POST /chats/:recipientId/messages) и Socket.IO
+ * (message:send): проверки блокировок/премиума/стикеров/E2E, сохранение,
+ * обновление беседы, сокет-событие new_message и push. Возвращает результат
+ * в виде { status, body } — REST отдаёт его как есть, сокет превращает в ack.
+ * Групповые чаты — sendGroupChatMessage (POST /chats/groups/:conversationId/messages).
+ */
+
+const mongoose = require('mongoose');
+const Conversation = require('../models/conversationModel');
+const Message = require('../models/messageModel');
+const User = require('../models/userModel');
+const StickerPack = require('../models/stickerPackModel');
+const { isPremiumActive } = require('../utils/premium');
+const { summarizeReactions } = require('../utils/reactions');
+const { expiresAtFor } = require('../utils/disappearing');
+const { getActiveMute } = require('../utils/mute');
+const { getPhotoUrl } = require('./mediaStorage');
+const { publishNotification } = require('../src/notificationPublisher');
+const { emitToUser } = require('../src/socketManager');
+
+// Возвращать ли чат из архива получателя при новом входящем сообщении
+const UNARCHIVE_ON_NEW_MESSAGE = process.env.CHAT_UNARCHIVE_ON_NEW_MESSAGE !== 'false';
+
+// Ответ-ошибка: HTTP-статус + машиночитаемый код (клиенты ветвятся по code)
+function fail(status, message, code) {
+  return { status, body: { message, code } };
+}
+
+// Текст превью в списке чатов: медиа подписываем, текст (или шифртекст) как есть
+function lastMessagePreviewText(messageType, text) {
+  if (messageType === 'voice') return '🎤 Голосовое сообщение';
+  if (messageType === 'image') return '📷 Фото';
+  if (messageType === 'sticker') return '🎁 Стикер';
+  return text || '';
+}
+
+/**
+ * Пересчитать lastMessage беседы по последнему оставшемуся сообщению
+ * (после удаления или исчезновения). Системные сообщения превью не задают.
+ * @param {string|ObjectId} conversationId
+ * @param {object} [extraFilter] - доп. условие (напр. скрытые у пользователя)
+ */
+async function refreshLastMessage(conversationId, extraFilter = {}) {
+  const conversation = await Conversation.findById(conversationId).select('createdAt').lean();
+  if (!conversation) return;
+
+  const newLast = await Message.findOne({
+    conversationId: conversation._id,
+    deletedForAll: { $ne: true },
+    messageType: { $ne: 'system' },
+    ...extraFilter,
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const lastMessage = newLast
+    ? {
+        text: lastMessagePreviewText(newLast.messageType, newLast.text),
+        nonce: newLast.messageType === 'text' ? (newLast.nonce || null) : null,
+        senderId: newLast.senderId,
+        createdAt: newLast.createdAt,
+        isRead: newLast.isRead,
+      }
+    : { text: '', nonce: null, senderId: null, createdAt: conversation.createdAt };
+
+  await Conversation.updateOne({ _id: conversation._id }, { lastMessage });
+}
+
+// ─── Счётчики непрочитанных (unreadCount) ──────────────────────────────────
+// Меняются только атомарно относительно текущего значения: +1 на каждое
+// входящее, −N на каждые N сообщений, которые этим же запросом перестали быть
+// непрочитанными. Чтение-и-запись «текущее + 1» теряло инкременты при
+// параллельной отправке. Если счётчик всё же разошёлся с сообщениями —
+// repairUnreadCounts (POST /chats/unread/repair, scripts/repairUnreadCounts.js).
+
+/**
+ * Снять count непрочитанных у пользователя в беседе (не ниже нуля).
+ * Пайплайн-апдейт: clamp и проверка выполняются в Mongo, без чтения.
+ * @param {string|ObjectId} conversationId
+ * @param {string|ObjectId} userId
+ * @param {number} count
+ * @param {object} [extraSet] - доп. поля той же стадии (выражения пайплайна)
+ * @param {object} [options] - опции findOneAndUpdate (select и т.п.);
+ *   options.filter — доп. условие на беседу (не совпало — апдейта нет, null)
+ * @returns {Promise<object|null>} документ беседы ДО апдейта
+ */
+async function decrementUnread(conversationId, userId, count, extraSet = {}, options = {}) {
+  const { filter = {}, ...queryOptions } = options;
+  const field = `unreadCount.${userId}`;
+  return Conversation.findOneAndUpdate(
+    { ...filter, _id: conversationId },
+    [
+      {
+        $set: {
+          [field]: { $max: [0, { $subtract: [{ $ifNull: [`$${field}`, 0] }, count] }] },
+          ...extraSet,
+        },
+      },
+      // Всё прочитано — превью последнего сообщения тоже прочитано
+      { $set: { 'lastMessage.isRead': { $cond: [{ $eq: [`$${field}`, 0] }, true, '$lastMessage.isRead'] } } },
+    ],
+    { new: false, ...queryOptions }
+  );
+}
+
+/**
+ * Сообщения уходят из переписки (удалены у всех, исчезли): те, что ещё не
+ * прочитаны, атомарно помечаем прочитанными и снимаем со счётчиков.
+ * Пометка по условию isRead: false — сообщение, которое параллельно прочитал
+ * markAsRead, не будет вычтено второй раз.
+ * @param {Array<ObjectId>} messageIds - кандидаты (непрочитанные на момент выборки)
+ */
+async function releaseUnreadMessages(messageIds) {
+  const released = new Map(); // conversationId:receiverId → сколько вычесть
+  for (const messageId of messageIds) {
+    // Групповые сообщения isRead не используют — см. releaseGroupUnread
+    const message = await Message.findOneAndUpdate(
+      { _id: messageId, isRead: false, isGroup: { $ne: true } },
+      { $set: { isRead: true } },
+      { projection: { conversationId: 1, receiverId: 1 } }
+    ).lean();
+    if (!message) continue;
+    const key = `${message.conversationId}:${message.receiverId}`;
+    released.set(key, (released.get(key) || 0) + 1);
+  }
+  for (const [key, count] of released) {
+    const [conversationId, receiverId] = key.split(':');
+    await decrementUnread(conversationId, receiverId, count);
+  }
+}
+
+// ─── Непрочитанные в группе ───
+// У группового сообщения нет получателя и флага isRead: прочитанность —
+// позиция lastReadMessageId участника. Непрочитанные — чужие обычные
+// сообщения после неё; unreadCount — тот же счётчик, что и в чате двоих.
+
+/**
+ * Сколько сообщений группы не прочитано участником
+ * @param {object} conversation - lean-беседа (_id, lastReadMessageId)
+ * @param {string|ObjectId} userId
+ * @param {ObjectId} [upToId] - считать только до этого сообщения включительно
+ */
+async function countGroupUnread(conversation, userId, upToId = null) {
+  const lastReadId = conversation.lastReadMessageId?.[String(userId)] || null;
+  const range = {};
+  if (lastReadId) range.$gt = lastReadId;
+  if (upToId) range.$lte = upToId;
+  return Message.countDocuments({
+    conversationId: conversation._id,
+    senderId: { $ne: new mongoose.Types.ObjectId(String(userId)) },
+    messageType: { $ne: 'system' },
+    deletedForAll: { $ne: true },
+    ...(Object.keys(range).length > 0 ? { _id: range } : {}),
+  });
+}
+
+/**
+ * Сообщения группы уходят из переписки (удалены у всех, исчезли): снимаем
+ * их со счётчиков тех участников, кто их ещё не прочитал. Вызывать до
+ * пометки deletedForAll / удаления документов.
+ * @param {object} conversation - lean-беседа (_id, participants, lastReadMessageId)
+ * @param {object[]} messages - сообщения (_id, senderId, messageType)
+ */
+async function releaseGroupUnread(conversation, messages) {
+  const counted = messages.filter((m) => m.messageType !== 'system');
+  for (const participantId of conversation.participants) {
+    const lastReadId = conversation.lastReadMessageId?.[String(participantId)] || null;
+    const count = counted.filter((m) => String(m.senderId) !== String(participantId)
+      && (!lastReadId || String(m._id) > String(lastReadId))).length;
+    if (count > 0) await decrementUnread(conversation._id, participantId, count);
+  }
+}
+
+/**
+ * Полное прочтение 1:1 чата: непрочитанных входящих не осталось, а счётчик
+ * после вычитания не ноль — он разошёлся (например, $inc без сообщения).
+ * Обнуляем по пересчёту, как repairUnreadCounts, но с условием на прежнее
+ * значение: входящее, чей $inc успел после подсчёта, запись отменит, а
+ * пришедшее позже просто прибавится к нулю.
+ * @param {ObjectId} conversationId
+ * @param {ObjectId} userObjectId
+ * @param {number} stored - счётчик после вычитания прочитанного
+ * @returns {Promise<number>} актуальный счётчик
+ */
+async function settleUnreadAfterFullRead(conversationId, userObjectId, stored) {
+  if (stored === 0) return 0;
+  const left = await Message.exists({
+    conversationId,
+    receiverId: userObjectId,
+    isRead: false,
+    deletedForAll: { $ne: true },
+  });
+  if (left) return stored;
+
+  const field = `unreadCount.${userObjectId}`;
+  const result = await Conversation.updateOne(
+    { _id: conversationId, [field]: stored },
+    [{
+      $set: {
+        [field]: 0,
+        // Превью входящего последнего сообщения тоже прочитано
+        lastMessage: {
+          $cond: [
+            { $and: [{ $ifNull: ['$lastMessage.senderId', false] }, { $ne: ['$lastMessage.senderId', userObjectId] }] },
+            { $mergeObjects: ['$lastMessage', { isRead: true }] },
+            '$lastMessage',
+          ],
+        },
+      },
+    }]
+  );
+  if (result.modifiedCount === 0) return stored;
+  console.log(`[chat] Settled drifted unread counter ${stored} → 0 for user ${userObjectId} in conversation ${conversationId}`);
+  return 0;
+}
+
+/**
+ * Пересчитать unreadCount из непрочитанных сообщений (ремонт разошедшихся
+ * счётчиков). Входящее, пришедшее между подсчётом и записью, может потеряться —
+ * ремонт запускается по жалобе или вручную, а не в горячем пути.
+ * @param {object[]} conversations - lean-беседы (_id, participants, unreadCount,
+ *   для групп — type и lastReadMessageId)
+ * @param {string|ObjectId} [userId] - только счётчик этого участника
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - только найти расхождения, без записи
+ * @returns {Promise<Array<{conversationId, userId, before, after}>>} исправленные
+ */
+async function repairUnreadCounts(conversations, userId = null, { dryRun = false } = {}) {
+  const fixed = [];
+  for (const conversation of conversations) {
+    const targets = userId ? [userId] : conversation.participants;
+    const update = {};
+    for (const participantId of targets) {
+      const actual = conversation.type === 'group'
+        ? await countGroupUnread(conversation, participantId)
+        : await Message.countDocuments({
+            conversationId: conversation._id,
+            receiverId: participantId,
+            isRead: false,
+            deletedForAll: { $ne: true },
+          });
+      const stored = conversation.unreadCount?.[String(participantId)] || 0;
+      if (stored !== actual) {
+        update[`unreadCount.${participantId}`] = actual;
+        fixed.push({
+          conversationId: String(conversation._id),
+          userId: String(participantId),
+          before: stored,
+          after: actual,
+        });
+      }
+    }
+    if (!dryRun && Object.keys(update).length > 0) {
+      await Conversation.updateOne({ _id: conversation._id }, { $set: update });
+    }
+  }
+  return fixed;
+}
+
+// Превью оригинала для replyTo: тип и всё, что нужно клиенту для миниатюры.
+// Текст храним как есть — в приватном чате это шифртекст со своим nonce.
+function buildReplyPreview(original) {
+  return {
+    _id: original._id,
+    senderId: original.senderId,
+    messageType: original.messageType,
+    text: original.text || '',
+    nonce: original.nonce || null,
+    sticker: original.sticker || null,
+    photoKey: original.photoKey || null,
+    photoNonce: original.photoNonce || null,
+    voiceDuration: original.voiceDuration || null,
+    isDeleted: false,
+  };
+}
+
+// Превью ответа для нового сообщения. Оригинал ищем сами и только в этой
+// беседе — снимок от клиента мог сослаться на чужой чат или подделать текст
+// цитаты: такой ответ отклоняем (INVALID_REPLY). Удалённый у всех оригинал
+// этой беседы — превью «Сообщение удалено»: клиент мог отвечать на сообщение,
+// удалённое уже после того, как он его увидел.
+// Возвращает { preview } или { error } — готовый fail-результат.
+async function resolveReplyPreview(replyTo, conversationId) {
+  if (!replyTo?._id) return { preview: null };
+  const original = conversationId && mongoose.Types.ObjectId.isValid(String(replyTo._id))
+    ? await Message.findOne({
+        _id: new mongoose.Types.ObjectId(String(replyTo._id)),
+        conversationId,
+        messageType: { $ne: 'system' },
+      }).lean()
+    : null;
+  if (!original) {
+    return { error: fail(400, 'Reply target not found in this chat', 'INVALID_REPLY') };
+  }
+  if (!original.deletedForAll) return { preview: buildReplyPreview(original) };
+  return {
+    preview: {
+      ...buildReplyPreview(original),
+      text: '',
+      nonce: null,
+      sticker: null,
+      photoKey: null,
+      photoNonce: null,
+      voiceDuration: null,
+      isDeleted: true,
+    },
+  };
+}
+
+// replyTo для клиента: presigned URL миниатюры фото (ключ живёт дольше URL)
+async function toClientReplyTo(replyTo) {
+  if (!replyTo?._id) return null;
+  const preview = typeof replyTo.toObject === 'function' ? replyTo.toObject() : replyTo;
+  return {
+    ...preview,
+    photoUrl: preview.photoKey && !preview.isDeleted ? await getPhotoUrl(preview.photoKey) : null,
+  };
+}
+
+/**
+ * Оригиналы удалены у всех (или исчезли) — превью ответов на них показывают
+ * «Сообщение удалено»: содержимое затираем, как и у самого оригинала.
+ * @param {Array<string|ObjectId>} messageIds
+ */
+async function markReplyPreviewsDeleted(messageIds) {
+  if (!messageIds.length) return;
+  await Message.updateMany(
+    { 'replyTo._id': { $in: messageIds } },
+    {
+      $set: {
+        'replyTo.isDeleted': true,
+        'replyTo.text': '',
+        'replyTo.nonce': null,
+        'replyTo.sticker': null,
+        'replyTo.photoKey': null,
+        'replyTo.photoNonce': null,
+        'replyTo.voiceDuration': null,
+      },
+    }
+  );
+}
+
+/**
+ * Открепить удалённые у всех (или исчезнувшие) сообщения беседы и сообщить
+ * об этом обоим участникам событием message_pinned { isPinned: false }
+ * @param {string|ObjectId} conversationId
+ * @param {Array<string|ObjectId>} messageIds
+ */
+async function unpinDeletedMessages(conversationId, messageIds) {
+  if (!messageIds.length) return;
+  const conversation = await Conversation.findOneAndUpdate(
+    { _id: conversationId, 'pinnedMessages.messageId': { $in: messageIds } },
+    { $pull: { pinnedMessages: { messageId: { $in: messageIds } } } },
+    { new: false, projection: { participants: 1, pinnedMessages: 1 } }
+  ).lean();
+  if (!conversation) return;
+
+  const deleted = new Set(messageIds.map(String));
+  conversation.pinnedMessages
+    .filter((p) => deleted.has(String(p.messageId)))
+    .forEach((p) => {
+      conversation.participants.forEach((participantId) => {
+        emitToUser(participantId, 'message_pinned', {
+          conversationId: String(conversation._id),
+          messageId: String(p.messageId),
+          isPinned: false,
+        });
+      });
+    });
+}
+
+// Payload сообщения для сокета и ответа отправки. Сводка реакций считается
+// от лица viewerId (у только что созданного сообщения реакций нет).
+function buildMessagePayload(message, viewerId = null) {
+  return {
+    _id: message._id,
+    conversationId: message.conversationId,
+    senderId: message.senderId,
+    receiverId: message.receiverId,
+    messageType: message.messageType,
+    text: message.text,
+    nonce: message.nonce || null,
+    voiceUrl: message.voiceUrl || null,
+    voiceDuration: message.voiceDuration || null,
+    voiceNonce: message.voiceNonce || null,
+    voiceWaveform: message.voiceWaveform || null,
+    photoUrl: message.photoUrl || null,
+    photoKey: message.photoKey || null,
+    photoNonce: message.photoNonce || null,
+    sticker: message.sticker || null,
+    replyTo: message.replyTo?._id ? message.replyTo : null,
+    forwardedFrom: message.forwardedFrom?.messageId ? message.forwardedFrom : null,
+    systemEvent: message.systemEvent || null,
+    systemParams: message.systemParams || null,
+    expiresAt: message.expiresAt || null,
+    clientMessageId: message.clientMessageId || null,
+    deliveredAt: message.deliveredAt || null,
+    isRead: message.isRead,
+    createdAt: message.createdAt,
+    ...summarizeReactions(message, viewerId),
+  };
+}
+
+// Ищет сообщение, уже созданное этим отправителем с тем же clientMessageId.
+// Ключ, повторно использованный для другого чата, — ошибка клиента (409).
+// target — { recipientId, isPrivate } для чата двоих (с одним собеседником
+// бывает обычный и приватный чат) или { conversationId } для группы.
+async function findIdempotentMessage(userId, target, clientMessageId) {
+  const existing = await Message.findOne({
+    senderId: new mongoose.Types.ObjectId(userId),
+    clientMessageId,
+  }).lean();
+  if (!existing) return null;
+
+  let sameChat;
+  if (target.conversationId) {
+    sameChat = String(existing.conversationId) === String(target.conversationId);
+  } else {
+    const conversation = await Conversation.findById(existing.conversationId).select('isPrivate').lean();
+    sameChat = String(existing.receiverId) === String(target.recipientId)
+      && !!conversation && !!conversation.isPrivate === !!target.isPrivate;
+  }
+  if (!sameChat) {
+    return fail(409, 'clientMessageId already used for another chat', 'IDEMPOTENCY_KEY_REUSED');
+  }
+  // Удалённое у всех не отдаём повтором: клиент получил бы пустое сообщение
+  if (existing.deletedForAll) {
+    return fail(409, 'Message with this clientMessageId was deleted', 'IDEMPOTENT_MESSAGE_DELETED');
+  }
+
+  console.log(`[chat] Duplicate send ${clientMessageId} from ${userId} — returning message ${existing._id}`);
+  const message = { ...buildMessagePayload(existing, userId), replyTo: await toClientReplyTo(existing.replyTo) };
+  return { status: 200, body: { success: true, message } };
+}
+
+// Обязательный контент по типу сообщения (общая проверка чата двоих и группы)
+function checkMessageContent({ messageType = 'text', text, voiceUrl, photoUrl, sticker = null }) {
+  if (messageType === 'text') {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return fail(400, 'Message text is required', 'TEXT_REQUIRED');
+    }
+  } else if (messageType === 'voice') {
+    if (!voiceUrl) {
+      return fail(400, 'Voice URL is required', 'VOICE_REQUIRED');
+    }
+  } else if (messageType === 'image') {
+    if (!photoUrl) {
+      return fail(400, 'Photo URL is required', 'PHOTO_REQUIRED');
+    }
+  } else if (messageType === 'sticker') {
+    if (!sticker || typeof sticker !== 'string' || sticker.length > 64) {
+      return fail(400, 'Valid sticker id is required', 'STICKER_REQUIRED');
+    }
+  }
+  return null;
+}
+
+// Стикер-гейт: существование стикера + платные паки только премиуму.
+// Проверка на сервере — клиентский замочек обходится. isPremiumActive
+// (по premiumUntil) — источник правды, а не легаси-флаг sender.premium.
+async function checkStickerAccess(sticker, sender) {
+  const pack = await StickerPack.findOne(
+    { 'stickers.id': sticker, published: true },
+    { isPremium: 1 }
+  ).lean();
+  if (!pack) {
+    return fail(400, 'Unknown sticker', 'UNKNOWN_STICKER');
+  }
+  if (pack.isPremium && !isPremiumActive(sender)) {
+    return fail(403, 'Premium required for this sticker pack', 'PREMIUM_STICKER');
+  }
+  return null;
+}
+
+// Текст для push-уведомления (сервер не может расшифровать E2E).
+// Приватный чат: не раскрываем ни контент, ни тип сообщения.
+function pushTextFor(messageType, messageText, nonce, isPrivateChat) {
+  if (isPrivateChat) return 'Новое сообщение';
+  if (messageType === 'voice') return '🎤 Голосовое сообщение';
+  if (messageType === 'image') return '📷 Фото';
+  if (messageType === 'sticker') return '🎁 Стикер';
+  return nonce ? 'Новое сообщение' : messageText;
+}
+
+// Поля голосового / фото / стикера в документ сообщения
+function applyMediaFields(messageData, { messageType = 'text', voiceUrl, voiceKey, voiceDuration, voiceNonce = null, voiceWaveform = null, photoUrl, photoKey, photoNonce = null, sticker = null }) {
+  if (messageType === 'voice') {
+    messageData.voiceUrl = voiceUrl;
+    messageData.voiceKey = voiceKey || null;
+    messageData.voiceDuration = voiceDuration || 0;
+    messageData.voiceNonce = voiceNonce || null;
+    messageData.voiceWaveform = Array.isArray(voiceWaveform) ? voiceWaveform : null;
+  }
+  if (messageType === 'image') {
+    messageData.photoUrl = photoUrl;
+    messageData.photoKey = photoKey || null;
+    messageData.photoNonce = photoNonce || null;
+  }
+  // Стикер — сохраняем id пресета
+  if (messageType === 'sticker') {
+    messageData.sticker = sticker;
+  }
+}
+
+/**
+ * Отправить сообщение от имени пользователя
+ * @param {object} params
+ * @param {string} params.senderId - ID отправителя (из JWT)
+ * @param {string} params.recipientId - ID получателя
+ * @param {object} params.payload - Тело сообщения (формат schemas.sendMessage)
+ * @param {string|null} params.clientMessageId - Ключ идемпотентности
+ * @param {object|null} params.forwardedFrom - { messageId, senderId } оригинала
+ *   при пересылке (задаёт сервер, из тела запроса не принимается)
+ * @returns {Promise<{status: number, body: object}>} 201 — создано, 200 — повтор
+ */
+async function sendChatMessage({ senderId, recipientId, payload = {}, clientMessageId = null, forwardedFrom = null }) {
+  const userId = senderId;
+  const { text, replyTo, messageType = 'text', voiceNonce = null, nonce = null, photoNonce = null, sticker = null, isPrivate = false } = payload;
+
+  if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+    return fail(401, 'Unauthorized', 'UNAUTHORIZED');
+  }
+
+  if (!recipientId || !mongoose.Types.ObjectId.isValid(String(recipientId))) {
+    return fail(400, 'Invalid recipient id', 'INVALID_RECIPIENT');
+  }
+
+  // Системные сообщения создаёт только сервер (systemMessageService) — даже если
+  // тип просочился мимо схемы (старые отложенные сообщения и т.п.)
+  if (!['text', 'voice', 'image', 'sticker'].includes(messageType)) {
+    return fail(400, 'Unsupported message type', 'INVALID_MESSAGE_TYPE');
+  }
+
+  if (clientMessageId !== null && (typeof clientMessageId !== 'string' || clientMessageId.length > 100)) {
+    return fail(400, 'Invalid clientMessageId', 'INVALID_CLIENT_MESSAGE_ID');
+  }
+
+  const isPrivateChat = isPrivate === true || isPrivate === 'true';
+
+  // Повтор уже обработанного запроса (ретрай клиента на плохой сети) —
+  // отдаём сохранённое сообщение, ничего не создаём и не рассылаем заново
+  if (clientMessageId) {
+    const existing = await findIdempotentMessage(userId, { recipientId, isPrivate: isPrivateChat }, clientMessageId);
+    if (existing) return existing;
+  }
+
+  // Проверка контента в зависимости от типа сообщения
+  const contentError = checkMessageContent(payload);
+  if (contentError) return contentError;
+
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const recipientObjectId = new mongoose.Types.ObjectId(recipientId);
+  const messageText = text ? text.trim() : '';
+
+  // Блокировка: если получатель заблокировал отправителя (или наоборот) —
+  // сообщение не доставляем. Проверка на сервере, клиентский список — только UI.
+  const recipientDoc = await User.findById(recipientObjectId).select('blockedUsers').lean();
+  const senderBlockCheck = await User.findById(userObjectId).select('blockedUsers premium premiumUntil').lean();
+  const recipientBlockedSender = (recipientDoc?.blockedUsers || []).some(id => String(id) === String(userId));
+  const senderBlockedRecipient = (senderBlockCheck?.blockedUsers || []).some(id => String(id) === String(recipientId));
+  if (recipientBlockedSender || senderBlockedRecipient) {
+    return fail(403, 'Messaging is not available with this user', 'BLOCKED');
+  }
+
+  // Не-премиум может отвечать только в чате, который уже существует
+  // (т.е. премиум-пользователь написал первым и открыл переписку)
+  const sender = senderBlockCheck;
+  const senderIsPremium = sender?.premium && (!sender.premiumUntil || sender.premiumUntil > new Date());
+  if (!senderIsPremium) {
+    const existingConv = await Conversation.findOne({
+      participants: { $all: [userObjectId, recipientObjectId] },
+      type: { $ne: 'group' },
+    }).select('_id').lean();
+    if (!existingConv) {
+      return fail(403, 'Premium required to start a conversation', 'PREMIUM_REQUIRED');
+    }
+  }
+
+  if (messageType === 'sticker') {
+    const stickerError = await checkStickerAccess(sticker, sender);
+    if (stickerError) return stickerError;
+  }
+
+  // Защита от plaintext в приватном чате: клиент ОБЯЗАН прислать nonce
+  // (зашифрованный payload). Иначе сбой шифрования на клиенте молча
+  // сохранил бы открытый текст на сервере и он утёк бы в push.
+  if (isPrivateChat) {
+    if (messageType === 'text' && !nonce) {
+      return fail(400, 'Encrypted payload required for private chat', 'E2E_REQUIRED');
+    }
+    if (messageType === 'voice' && !voiceNonce) {
+      return fail(400, 'Encrypted payload required for private chat', 'E2E_REQUIRED');
+    }
+    if (messageType === 'image' && !photoNonce) {
+      return fail(400, 'Encrypted payload required for private chat', 'E2E_REQUIRED');
+    }
+  }
+
+  // Ищем беседу с учётом типа (приватная / обычная)
+  let conversation = await Conversation.findOne({
+    participants: { $all: [userObjectId, recipientObjectId] },
+    type: { $ne: 'group' },
+    isPrivate: isPrivateChat,
+  });
+
+  // Приватный чат нельзя использовать, пока получатель не принял запрос.
+  if (isPrivateChat && conversation && conversation.status === 'pending') {
+    return fail(403, 'Private chat request is not accepted yet', 'PRIVATE_PENDING');
+  }
+  // Приватную беседу нельзя создать «на лету» отправкой сообщения — только
+  // через принятый запрос (request → accept). Без беседы писать нельзя.
+  if (isPrivateChat && !conversation) {
+    return fail(403, 'Private chat requires an accepted request', 'PRIVATE_REQUEST_REQUIRED');
+  }
+
+  const reply = await resolveReplyPreview(replyTo, conversation?._id);
+  if (reply.error) return reply.error;
+  const replyToData = reply.preview;
+
+  const pushText = pushTextFor(messageType, messageText, nonce, isPrivateChat);
+
+  // Данные для lastMessage: для E2E храним шифртекст + nonce, чтобы клиент мог расшифровать
+  const lastMessageData = {
+    text: lastMessagePreviewText(messageType, messageText),
+    nonce: messageType === 'text' ? (nonce || null) : null,
+    senderId: userObjectId,
+    createdAt: new Date(),
+    isRead: false,
+  };
+
+  if (!conversation) {
+    // Беседа не найдена — создаём с нужным типом (upsert: параллельная
+    // отправка первого сообщения не создаст вторую беседу)
+    const { conversation: upserted, created } = await Conversation.findOrCreatePair(
+      userObjectId, recipientObjectId, isPrivateChat, { lastMessage: lastMessageData }
+    );
+    conversation = upserted;
+    if (created) {
+      console.log(`[chat] Created new ${isPrivateChat ? 'private' : 'regular'} conversation ${conversation._id}`);
+    }
+  }
+
+  // Создаём сообщение
+  const messageData = {
+    conversationId: conversation._id,
+    senderId: userObjectId,
+    receiverId: recipientObjectId,
+    messageType,
+    text: messageText,
+    nonce: nonce || null,
+    replyTo: replyToData,
+    // Таймер исчезающих сообщений — по настройке беседы на момент отправки
+    expiresAt: expiresAtFor(conversation.disappearingTimer),
+  };
+
+  // Данные голосового / фото / стикера
+  applyMediaFields(messageData, payload);
+
+  if (clientMessageId) {
+    messageData.clientMessageId = clientMessageId;
+  }
+
+  if (forwardedFrom) {
+    messageData.forwardedFrom = forwardedFrom;
+  }
+
+  let message;
+  try {
+    message = await Message.create(messageData);
+  } catch (err) {
+    // Два параллельных ретрая: второй упирается в уникальный индекс
+    // (senderId, clientMessageId) — отдаём сообщение, созданное первым
+    if (err?.code === 11000 && clientMessageId) {
+      const existing = await findIdempotentMessage(userId, { recipientId, isPrivate: isPrivateChat }, clientMessageId);
+      if (existing) return existing;
+    }
+    throw err;
+  }
+
+  // Обновляем беседу. Счётчик — только $inc: параллельные сообщения не
+  // теряют инкременты
+  const conversationUpdate = {
+    $set: {
+      lastMessage: { ...lastMessageData, createdAt: message.createdAt },
+      updatedAt: new Date(),
+    },
+    $inc: { [`unreadCount.${recipientId}`]: 1 },
+  };
+  // Новое входящее достаёт чат получателя из архива (если не выключено)
+  const unarchive = UNARCHIVE_ON_NEW_MESSAGE
+    && (conversation.archivedBy || []).some((id) => String(id) === String(recipientId));
+  if (unarchive) {
+    conversationUpdate.$pull = { archivedBy: recipientObjectId };
+  }
+  await Conversation.findByIdAndUpdate(conversation._id, conversationUpdate);
+  if (unarchive) {
+    emitToUser(recipientId, 'conversation_archived', { conversationId: String(conversation._id), isArchived: false });
+  }
+
+  console.log(`[chat] ${messageType} message sent from ${userId} to ${recipientId}`);
+
+  // Отправляем real-time уведомление через Socket.IO
+  const messagePayload = { ...buildMessagePayload(message), replyTo: await toClientReplyTo(message.replyTo) };
+  emitToUser(recipientId, 'new_message', {
+    message: messagePayload,
+    senderId: String(userId),
+  });
+
+  // Push-уведомление — через RabbitMQ (retry при ошибке FCM). Заглушённый
+  // получателем чат — тихий push: бейдж и отметка доставки без звука.
+  const recipientMuted = !!getActiveMute(conversation, recipientId);
+  ;(async () => {
+    try {
+      const senderDoc = await User.findById(userObjectId).select('name').lean();
+      await publishNotification({
+        userId: String(recipientId),
+        title: senderDoc?.name || 'Пользователь',
+        body: pushText || 'Новое сообщение',
+        silent: recipientMuted,
+        data: {
+          type: 'new_message',
+          conversationId: conversation._id?.toString() || '',
+          // messageId — фоновый обработчик push подтверждает по нему доставку
+          messageId: String(message._id),
+          senderId: String(userId),
+          senderName: senderDoc?.name || '',
+        },
+      });
+    } catch (err) {
+      console.error('[chat] Notification publish error:', err.message);
+    }
+  })();
+
+  return {
+    status: 201,
+    body: {
+      success: true,
+      message: messagePayload,
+    },
+  };
+}
+
+/**
+ * Отправить сообщение в группу от имени участника. Тот же конвейер, что и
+ * sendChatMessage, но без получателя: сообщение видят все участники, счётчик
+ * непрочитанных растёт у каждого, кроме отправителя. Приватных (E2E) групп нет.
+ * @param {object} params
+ * @param {string} params.senderId - ID отправителя (из JWT)
+ * @param {string} params.conversationId - ID группы
+ * @param {object} params.payload - Тело сообщения (формат schemas.sendMessage)
+ * @param {string|null} params.clientMessageId - Ключ идемпотентности
+ * @returns {Promise<{status: number, body: object}>} 201 — создано, 200 — повтор
+ */
+async function sendGroupChatMessage({ senderId, conversationId, payload = {}, clientMessageId = null }) {
+  const userId = senderId;
+  const { text, replyTo, messageType = 'text', sticker = null, isPrivate = false } = payload;
+
+  if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+    return fail(401, 'Unauthorized', 'UNAUTHORIZED');
+  }
+
+  if (!conversationId || !mongoose.Types.ObjectId.isValid(String(conversationId))) {
+    return fail(400, 'Invalid conversation id', 'INVALID_CONVERSATION');
+  }
+
+  if (!['text', 'voice', 'image', 'sticker'].includes(messageType)) {
+    return fail(400, 'Unsupported message type', 'INVALID_MESSAGE_TYPE');
+  }
+
+  if (isPrivate === true || isPrivate === 'true') {
+    return fail(400, 'Group chats are not end-to-end encrypted', 'GROUP_NOT_PRIVATE');
+  }
+
+  if (clientMessageId !== null && (typeof clientMessageId !== 'string' || clientMessageId.length > 100)) {
+    return fail(400, 'Invalid clientMessageId', 'INVALID_CLIENT_MESSAGE_ID');
+  }
+
+  if (clientMessageId) {
+    const existing = await findIdempotentMessage(userId, { conversationId }, clientMessageId);
+    if (existing) return existing;
+  }
+
+  const contentError = checkMessageContent(payload);
+  if (contentError) return contentError;
+
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const conversation = await Conversation.findOne({
+    _id: new mongoose.Types.ObjectId(conversationId),
+    type: 'group',
+    participants: userObjectId,
+  }).lean();
+  if (!conversation) {
+    return fail(404, 'Group not found', 'GROUP_NOT_FOUND');
+  }
+
+  const sender = await User.findById(userObjectId).select('name premium premiumUntil').lean();
+  if (messageType === 'sticker') {
+    const stickerError = await checkStickerAccess(sticker, sender);
+    if (stickerError) return stickerError;
+  }
+
+  const reply = await resolveReplyPreview(replyTo, conversation._id);
+  if (reply.error) return reply.error;
+  const replyToData = reply.preview;
+
+  const messageText = text ? text.trim() : '';
+  const messageData = {
+    conversationId: conversation._id,
+    senderId: userObjectId,
+    receiverId: null,
+    isGroup: true,
+    messageType,
+    text: messageText,
+    nonce: null,
+    replyTo: replyToData,
+    expiresAt: expiresAtFor(conversation.disappearingTimer),
+  };
+  applyMediaFields(messageData, payload);
+  if (clientMessageId) {
+    messageData.clientMessageId = clientMessageId;
+  }
+
+  let message;
+  try {
+    message = await Message.create(messageData);
+  } catch (err) {
+    if (err?.code === 11000 && clientMessageId) {
+      const existing = await findIdempotentMessage(userId, { conversationId }, clientMessageId);
+      if (existing) return existing;
+    }
+    throw err;
+  }
+
+  const others = conversation.participants.filter((p) => String(p) !== String(userId));
+  const conversationUpdate = {
+    $set: {
+      lastMessage: {
+        text: lastMessagePreviewText(messageType, messageText),
+        nonce: null,
+        senderId: userObjectId,
+        createdAt: message.createdAt,
+        isRead: false,
+      },
+      updatedAt: new Date(),
+      // Своё сообщение — прочитано отправителем: и граница, и счётчик
+      [`lastReadMessageId.${userId}`]: message._id,
+      [`unreadCount.${userId}`]: 0,
+    },
+    $inc: Object.fromEntries(others.map((p) => [`unreadCount.${p}`, 1])),
+  };
+  const unarchived = UNARCHIVE_ON_NEW_MESSAGE
+    ? others.filter((p) => (conversation.archivedBy || []).some((id) => String(id) === String(p)))
+    : [];
+  if (unarchived.length > 0) {
+    conversationUpdate.$pull = { archivedBy: { $in: unarchived } };
+  }
+  await Conversation.updateOne({ _id: conversation._id }, conversationUpdate);
+  unarchived.forEach((p) => {
+    emitToUser(p, 'conversation_archived', { conversationId: String(conversation._id), isArchived: false });
+  });
+
+  console.log(`[chat] ${messageType} message sent from ${userId} to group ${conversation._id} (${others.length} members)`);
+
+  const messagePayload = { ...buildMessagePayload(message), replyTo: await toClientReplyTo(message.replyTo) };
+  others.forEach((p) => {
+    emitToUser(p, 'new_message', { message: messagePayload, senderId: String(userId) });
+  });
+
+  // Push каждому участнику: заголовок — группа, в тексте — автор
+  const pushText = pushTextFor(messageType, messageText, null, false);
+  const senderName = sender?.name || 'Пользователь';
+  ;(async () => {
+    for (const p of others) {
+      try {
+        await publishNotification({
+          userId: String(p),
+          title: conversation.title || 'Группа',
+          body: `${senderName}: ${pushText || 'Новое сообщение'}`,
+          silent: !!getActiveMute(conversation, p),
+          data: {
+            type: 'new_message',
+            conversationId: String(conversation._id),
+            messageId: String(message._id),
+            senderId: String(userId),
+            senderName: sender?.name || '',
+            isGroup: 'true',
+          },
+        });
+      } catch (err) {
+        console.error('[chat] Notification publish error:', err.message);
+      }
+    }
+  })();
+
+  return {
+    status: 201,
+    body: {
+      success: true,
+      message: messagePayload,
+    },
+  };
+}
+
+module.exports = {
+  sendChatMessage,
+  sendGroupChatMessage,
+  buildMessagePayload,
+  refreshLastMessage,
+  decrementUnread,
+  releaseUnreadMessages,
+  countGroupUnread,
+  releaseGroupUnread,
+  repairUnreadCounts,
+  settleUnreadAfterFullRead,
+  toClientReplyTo,
+  markReplyPreviewsDeleted,
+  unpinDeletedMessages,
+};
@@ -45,6 +45,8 @@ initializeFirebase();
  * @param {string} notification.title - Заголовок
  * @param {string} notification.body - Текст уведомления
  * @param {object} notification.data - Дополнительные данные
+ * @param {boolean} [notification.silent] - Тихий push: только data, без
+ *   звука и баннера (заглушённый чат — бейдж и отметка доставки)
  */
 async function sendPushToUser(userId, notification) {
   if (!firebaseInitialized) {
@@ -66,8 +68,21 @@ async function sendPushToUser(userId, notification) {
 
     const fcmTokens = tokens.map((t) => t.fcmToken);
 
-    // Формируем сообщение
-    const message = {
+    // Формируем сообщение. Тихий — data-only: Android отдаёт его фоновому
+    // обработчику без показа, iOS — как background (content-available)
+    const message = notification.silent ? {
+      data: { ...(notification.data || {}), silent: 'true' },
+      android: { priority: 'normal' },
+      apns: {
+        headers: {
+          'apns-priority': '5',
+          'apns-push-type': 'background',
+        },
+        payload: {
+          aps: { 'content-available': 1 },
+        },
+      },
+    } : {
       notification: {
         title: notification.title,
         body: notification.body,
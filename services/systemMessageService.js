@@ -0,0 +1,87 @@
+/**
+ * System Message Service - Служебные сообщения в чате
+ *
+ * Создаются только сервером (клиент не может прислать messageType 'system').
+ * Сообщение несёт systemEvent + systemParams, текст клиент собирает сам —
+ * так он локализуется. Системные сообщения не увеличивают непрочитанные и не
+ * меняют lastMessage беседы.
+ */
+
+const mongoose = require('mongoose');
+const Conversation = require('../models/conversationModel');
+const Message = require('../models/messageModel');
+const { emitToUser } = require('../src/socketManager');
+const { buildMessagePayload } = require('./messageService');
+
+/**
+ * Создать системное сообщение и разослать его всем участникам
+ * @param {object} params
+ * @param {object} params.conversation - Беседа (нужны _id, participants и type)
+ * @param {string} params.actorId - Кто совершил действие (senderId сообщения)
+ * @param {string} params.event - systemEvent (см. enum в messageModel)
+ * @param {object} [params.params] - Параметры события для клиента
+ * @returns {Promise<object>} созданное сообщение
+ */
+async function createSystemMessage({ conversation, actorId, event, params = null }) {
+  const actor = String(actorId);
+  const isGroup = conversation.type === 'group';
+  const now = new Date();
+
+  // Сразу прочитано и доставлено — в счётчики непрочитанных не попадает.
+  // В группе получателя нет — сообщение видят все участники
+  const message = await Message.create({
+    conversationId: conversation._id,
+    senderId: new mongoose.Types.ObjectId(actor),
+    receiverId: isGroup ? null : conversation.participants.find((p) => String(p) !== actor),
+    isGroup,
+    messageType: 'system',
+    systemEvent: event,
+    systemParams: params,
+    isRead: true,
+    readAt: now,
+    deliveredAt: now,
+    createdAt: now,
+  });
+
+  const payload = buildMessagePayload(message);
+  conversation.participants.forEach((participantId) => {
+    emitToUser(participantId, 'new_message', { message: payload, senderId: actor });
+  });
+
+  console.log(`[chat] System message ${event} in ${conversation._id} by ${actor}`);
+  return message;
+}
+
+/**
+ * Системное сообщение о пропущенном звонке. Звонки идут между пользователями,
+ * а не в беседе — пишем в обычный чат пары, если его нет — в активный приватный.
+ * Новую беседу ради звонка не создаём.
+ * @param {string} callerId - Кто звонил
+ * @param {string} calleeId - Кому звонили
+ * @param {'cancelled'|'rejected'} reason - Звонящий сбросил / собеседник отклонил
+ */
+async function recordMissedCall(callerId, calleeId, reason) {
+  if (!mongoose.Types.ObjectId.isValid(String(callerId))
+    || !mongoose.Types.ObjectId.isValid(String(calleeId))) return null;
+
+  const conversation = await Conversation.findOne({
+    participants: {
+      $all: [new mongoose.Types.ObjectId(String(callerId)), new mongoose.Types.ObjectId(String(calleeId))],
+    },
+    type: { $ne: 'group' },
+    status: 'active',
+  })
+    .sort({ isPrivate: 1 })
+    .select('_id participants')
+    .lean();
+  if (!conversation) return null;
+
+  return createSystemMessage({
+    conversation,
+    actorId: callerId,
+    event: 'missed_call',
+    params: { reason },
+  });
+}
+
+module.exports = { createSystemMessage, recordMissedCall };
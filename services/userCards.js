@@ -0,0 +1,173 @@
+/**
+ * User Cards - Карточки собеседников для списков (чаты, поиск, избранное)
+ *
+ * Профили живут в user-service (общая коллекция users в auth-БД). Статичная
+ * часть карточки (имя, возраст, фото, город) кэшируется в Redis; isOnline и
+ * lastSeen меняются постоянно и всегда читаются из Mongo — одним $in-запросом
+ * на всю страницу, а не findById на строку.
+ *
+ * Инвалидация: события user-service из RabbitMQ (src/userCardInvalidation.js)
+ * и TTL как страховка, если событие потерялось. Ключ карточки содержит версию
+ * пользователя, инвалидация её увеличивает: карточка, прочитанная из Mongo до
+ * сброса и записанная после него, попадает под старую версию и не читается.
+ */
+
+const Redis = require('ioredis');
+const User = require('../models/userModel');
+const { getPhotoUrl } = require('./mediaStorage');
+
+// Отдельное соединение, как у eventLog и photoRateLimit
+const redis = new Redis({
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: Number(process.env.REDIS_PORT) || 6379,
+  password: process.env.REDIS_PASSWORD || undefined,
+  maxRetriesPerRequest: 1,
+  retryStrategy: (times) => (times > 3 ? null : Math.min(times * 200, 1000)),
+});
+redis.on('error', (e) => console.error('[userCards] redis error:', e.message));
+
+const CARD_TTL_SEC = Number(process.env.USER_CARD_CACHE_TTL_SEC) || 10 * 60;
+const CARD_FIELDS = 'name age userPhoto city userLocation';
+const PRESENCE_FIELDS = 'isOnline lastSeen';
+
+// Версия живёт дольше карточек: истечь и откатиться к версии, под которой
+// ещё лежит карточка, она не успеет
+const VERSION_TTL_SEC = 30 * 24 * 60 * 60;
+
+const versionKey = (userId) => `chat:user-card-ver:${userId}`;
+const cardKey = (userId, version) => `chat:user-card:${userId}:${version}`;
+
+// Статичная часть карточки для кэша. Храним исходную запись фото, а не
+// presigned URL: он живёт час, а getPhotoUrl и так кэширует подпись.
+function toCachedCard(userDoc) {
+  return {
+    name: userDoc.name,
+    age: userDoc.age,
+    photo: userDoc.userPhoto?.[0] || null,
+    city: userDoc.city || userDoc.userLocation || null,
+  };
+}
+
+async function resolvePhotoUrl(rawPhoto) {
+  if (!rawPhoto) return null;
+  const photoKey = typeof rawPhoto === 'object' ? rawPhoto.key : rawPhoto;
+  const directUrl = typeof rawPhoto === 'object' ? rawPhoto.url : null;
+  // Если key есть — генерируем presigned S3 URL, иначе используем прямой URL
+  return photoKey ? getPhotoUrl(photoKey) : (directUrl || null);
+}
+
+// Карточка клиенту: статичные поля + присутствие
+async function composeCard(cached, presence) {
+  return {
+    _id: presence._id,
+    name: cached.name,
+    age: cached.age,
+    photo: await resolvePhotoUrl(cached.photo),
+    city: cached.city,
+    isOnline: presence.isOnline || false,
+    lastSeen: presence.lastSeen,
+  };
+}
+
+/**
+ * Карточка пользователя из уже загруженного документа (нужны поля
+ * CARD_FIELDS + isOnline/lastSeen). Для одиночных ответов, где документ
+ * всё равно читается ради других полей.
+ */
+async function buildUserCard(userDoc) {
+  if (!userDoc) return null;
+  return composeCard(toCachedCard(userDoc), userDoc);
+}
+
+// Версии читаем до похода в Mongo и с ними же пишем промахи обратно
+async function readVersions(ids) {
+  try {
+    const raw = await redis.mget(ids.map(versionKey));
+    return raw.map((value) => value || '0');
+  } catch (e) {
+    console.error('[userCards] cache read error:', e.message);
+    return null;
+  }
+}
+
+async function readCache(ids, versions) {
+  if (!versions) return ids.map(() => null);
+  try {
+    const raw = await redis.mget(ids.map((id, i) => cardKey(id, versions[i])));
+    return raw.map((value) => (value ? JSON.parse(value) : null));
+  } catch (e) {
+    // Redis недоступен — читаем всё из Mongo (fail-open)
+    console.error('[userCards] cache read error:', e.message);
+    return ids.map(() => null);
+  }
+}
+
+async function writeCache(entries) {
+  if (entries.length === 0) return;
+  try {
+    const pipeline = redis.pipeline();
+    entries.forEach(([id, version, card]) => {
+      pipeline.set(cardKey(id, version), JSON.stringify(card), 'EX', CARD_TTL_SEC);
+    });
+    await pipeline.exec();
+  } catch (e) {
+    console.error('[userCards] cache write error:', e.message);
+  }
+}
+
+/**
+ * Карточки пользователей пачкой: один запрос в auth-БД на всю пачку.
+ * При полном попадании в кэш запрос берёт только isOnline/lastSeen.
+ * @param {Array<string|ObjectId>} userIds
+ * @returns {Promise<Map<string, object>>} userId → карточка; удалённых
+ *   пользователей в Map нет
+ */
+async function getUserCards(userIds) {
+  const ids = [...new Set((userIds || []).filter(Boolean).map(String))];
+  const cards = new Map();
+  if (ids.length === 0) return cards;
+
+  const versions = await readVersions(ids);
+  const cached = await readCache(ids, versions);
+  const cachedById = new Map(ids.map((id, i) => [id, cached[i]]));
+  const versionById = new Map(versions ? ids.map((id, i) => [id, versions[i]]) : []);
+  const hasMisses = cached.some((c) => c === null);
+
+  const userDocs = await User.find({ _id: { $in: ids } })
+    .select(hasMisses ? `${CARD_FIELDS} ${PRESENCE_FIELDS}` : PRESENCE_FIELDS)
+    .lean();
+
+  const toCache = [];
+  const entries = await Promise.all(userDocs.map(async (doc) => {
+    const id = String(doc._id);
+    let card = cachedById.get(id);
+    if (!card) {
+      card = toCachedCard(doc);
+      // Без версии (Redis недоступен) не пишем: нельзя понять, не было ли сброса
+      if (versionById.has(id)) toCache.push([id, versionById.get(id), card]);
+    }
+    return [id, await composeCard(card, doc)];
+  }));
+  entries.forEach(([id, card]) => cards.set(id, card));
+
+  await writeCache(toCache);
+  return cards;
+}
+
+/**
+ * Сбросить кэш карточек (профиль изменён или пользователь удалён)
+ * @param {Array<string|ObjectId>} userIds
+ */
+async function invalidateUserCards(userIds) {
+  const ids = [...new Set((userIds || []).filter(Boolean).map(String))];
+  if (ids.length === 0) return;
+  try {
+    const pipeline = redis.pipeline();
+    ids.forEach((id) => pipeline.incr(versionKey(id)).expire(versionKey(id), VERSION_TTL_SEC));
+    await pipeline.exec();
+  } catch (e) {
+    console.error('[userCards] cache invalidate error:', e.message);
+  }
+}
+
+module.exports = { getUserCards, buildUserCard, invalidateUserCards };
@@ -0,0 +1,107 @@
+// src/disappearingMessageSweeper.js
+const Conversation = require('../models/conversationModel');
+const Message = require('../models/messageModel');
+const StarredMessage = require('../models/starredMessageModel');
+const {
+  refreshLastMessage,
+  releaseUnreadMessages,
+  releaseGroupUnread,
+  markReplyPreviewsDeleted,
+  unpinDeletedMessages,
+} = require('../services/messageService');
+const { deleteMediaKeys } = require('../services/mediaStorage');
+const { emitToUser } = require('./socketManager');
+
+// Очистка исчезающих сообщений (expiresAt в прошлом). Удаляем физически, а не
+// флагом deletedForAll: смысл режима — чтобы на сервере ничего не осталось.
+// Несколько инстансов безопасны: deleteMany по тем же _id просто удалит 0,
+// в худшем случае клиент получит message_deleted дважды.
+const SWEEP_INTERVAL_MS = Number(process.env.DISAPPEARING_SWEEP_INTERVAL_MS) || 60_000;
+const BATCH_SIZE = 500;
+
+let timer = null;
+
+async function sweepBatch() {
+  const now = new Date();
+  const expired = await Message.find({ expiresAt: { $lte: now } })
+    .sort({ expiresAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id conversationId senderId receiverId isGroup messageType voiceKey photoKey isRead')
+    .lean();
+  if (expired.length === 0) return 0;
+
+  const expiredIds = expired.map((m) => m._id);
+  // Группы этого батча: участники — адресаты событий, lastReadMessageId —
+  // у кого исчезнувшие сообщения ещё в счётчике
+  const groups = new Map();
+  const groupIds = [...new Set(expired.filter((m) => m.isGroup).map((m) => String(m.conversationId)))];
+  if (groupIds.length > 0) {
+    const docs = await Conversation.find({ _id: { $in: groupIds } })
+      .select('participants lastReadMessageId')
+      .lean();
+    docs.forEach((c) => groups.set(String(c._id), c));
+  }
+
+  // Исчезнувшие непрочитанные больше не должны висеть в счётчике — снимаем
+  // до удаления, пока сообщения есть (атомарно, без пересчёта поверх $inc)
+  await releaseUnreadMessages(expired.filter((m) => !m.isRead && !m.isGroup).map((m) => m._id));
+  for (const group of groups.values()) {
+    await releaseGroupUnread(group, expired.filter((m) => String(m.conversationId) === String(group._id)));
+  }
+  await Message.deleteMany({ _id: { $in: expiredIds } });
+  await markReplyPreviewsDeleted(expiredIds);
+  await StarredMessage.deleteMany({ messageId: { $in: expiredIds } });
+
+  const keys = [];
+  expired.forEach((m) => {
+    if (m.voiceKey) keys.push(m.voiceKey);
+    if (m.photoKey) keys.push(m.photoKey);
+  });
+  if (keys.length > 0) {
+    deleteMediaKeys(keys)
+      .catch((e) => console.error('[DisappearingSweeper] S3 cleanup error:', e.message));
+  }
+
+  const conversationIds = [...new Set(expired.map((m) => String(m.conversationId)))];
+  for (const conversationId of conversationIds) {
+    await refreshLastMessage(conversationId);
+    await unpinDeletedMessages(
+      conversationId,
+      expired.filter((m) => String(m.conversationId) === conversationId).map((m) => m._id)
+    );
+  }
+
+  expired.forEach((m) => {
+    const payload = {
+      messageId: String(m._id),
+      conversationId: String(m.conversationId),
+      reason: 'expired',
+    };
+    const audience = m.isGroup
+      ? groups.get(String(m.conversationId))?.participants || []
+      : [m.senderId, m.receiverId];
+    audience.forEach((userId) => emitToUser(userId, 'message_deleted', payload));
+  });
+
+  console.log(`[DisappearingSweeper] Deleted ${expired.length} expired messages in ${conversationIds.length} chats`);
+  return expired.length;
+}
+
+async function tick() {
+  try {
+    // Пока батчи полные — просроченного больше, чем влезло, продолжаем
+    while ((await sweepBatch()) === BATCH_SIZE) { /* следующий батч */ }
+  } catch (e) {
+    console.error('[DisappearingSweeper] tick error:', e.message);
+  } finally {
+    timer = setTimeout(tick, SWEEP_INTERVAL_MS);
+  }
+}
+
+function startDisappearingMessageSweeper() {
+  if (timer) return;
+  timer = setTimeout(tick, SWEEP_INTERVAL_MS);
+  console.log(`[DisappearingSweeper] Sweeping every ${SWEEP_INTERVAL_MS / 1000}s`);
+}
+
+module.exports = { startDisappearingMessageSweeper };
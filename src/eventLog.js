@@ -0,0 +1,85 @@
+// src/eventLog.js
+const Redis = require('ioredis');
+
+// ─── Журнал событий пользователя (досылка после переподключения) ───────────
+// Всё, что уходит через emitToUser, получает монотонный номер seq (INCR на
+// пользователя) и кладётся в sorted set events:log:<userId> (score = seq).
+// Клиент передаёт в handshake последний увиденный seq — при переподключении
+// сервер досылает всё, что новее. Журнал ограничен по длине и TTL: если клиент
+// отстал сильнее, досылка невозможна и он перезапрашивает чаты целиком.
+const redis = new Redis({
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: Number(process.env.REDIS_PORT) || 6379,
+  password: process.env.REDIS_PASSWORD || undefined,
+  maxRetriesPerRequest: 1,
+  retryStrategy: (times) => (times > 3 ? null : Math.min(times * 200, 1000)),
+});
+redis.on('error', (e) => console.error('[eventLog] redis error:', e.message));
+
+const EVENT_LOG_MAX = Number(process.env.EVENT_LOG_MAX) || 500;
+const EVENT_LOG_TTL_SEC = Number(process.env.EVENT_LOG_TTL_SEC) || 3 * 24 * 3600;
+
+const logKey = (userId) => `events:log:${userId}`;
+// Счётчик seq без TTL: его сброс сломал бы монотонность для клиента
+const seqKey = (userId) => `events:seq:${userId}`;
+
+// INCR счётчика и запись в журнал — одним скриптом: атомарно и за один
+// round trip. emitToUser ждёт seq, и два запроса подряд задерживали бы
+// каждое живое событие. Тело события приходит без seq — номер вписываем
+// в начало JSON-объекта здесь же.
+redis.defineCommand('appendEventLog', {
+  numberOfKeys: 2,
+  lua: `
+    local seq = redis.call('INCR', KEYS[1])
+    redis.call('ZADD', KEYS[2], seq, '{"seq":' .. seq .. ',' .. string.sub(ARGV[1], 2))
+    redis.call('ZREMRANGEBYRANK', KEYS[2], 0, -(tonumber(ARGV[2]) + 1))
+    redis.call('EXPIRE', KEYS[2], ARGV[3])
+    return seq
+  `,
+});
+
+/**
+ * Записать событие в журнал пользователя
+ * @returns {Promise<number|null>} seq события или null, если Redis недоступен
+ */
+async function appendEvent(userId, event, data) {
+  try {
+    const uid = String(userId);
+    return await redis.appendEventLog(
+      seqKey(uid),
+      logKey(uid),
+      JSON.stringify({ event, data }),
+      EVENT_LOG_MAX,
+      EVENT_LOG_TTL_SEC
+    );
+  } catch (e) {
+    console.error('[eventLog] append error:', e.message);
+    return null;
+  }
+}
+
+/**
+ * События пользователя с seq > afterSeq (по возрастанию)
+ * gap = true — часть пропущенного уже вытеснена из журнала (или счётчик
+ * сброшен), досылки недостаточно: клиенту нужна полная перезагрузка.
+ */
+async function getEventsSince(userId, afterSeq) {
+  const uid = String(userId);
+  const [[, entries], [, oldest], [, latestRaw]] = await redis.multi()
+    .zrangebyscore(logKey(uid), `(${afterSeq}`, '+inf')
+    .zrange(logKey(uid), 0, 0, 'WITHSCORES')
+    .get(seqKey(uid))
+    .exec();
+
+  const latestSeq = Number(latestRaw) || 0;
+  const oldestSeq = oldest.length ? Number(oldest[1]) : null;
+  const events = entries.map((raw) => JSON.parse(raw));
+
+  const gap = afterSeq > latestSeq
+    || (oldestSeq !== null && oldestSeq > afterSeq + 1)
+    || (oldestSeq === null && latestSeq > afterSeq);
+
+  return { events, latestSeq, gap };
+}
+
+module.exports = { appendEvent, getEventsSince };
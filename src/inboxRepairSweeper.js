@@ -0,0 +1,47 @@
+// src/inboxRepairSweeper.js
+const Conversation = require('../models/conversationModel');
+const { syncInboxEntries } = require('../services/inboxService');
+
+// Дочинка inbox: беседы, строки которых хук conversationModel не смог
+// пересобрать даже с повторами (inboxStale). Пересборка идемпотентна, так что
+// несколько инстансов безопасны. Метку снимаем, только если беседа не
+// менялась после чтения — иначе свежий сбой пересборки потерялся бы.
+const REPAIR_INTERVAL_MS = Number(process.env.INBOX_REPAIR_INTERVAL_MS) || 30_000;
+const BATCH_SIZE = 200;
+
+let timer = null;
+
+async function repairBatch() {
+  const stale = await Conversation.find({ inboxStale: true }).limit(BATCH_SIZE).lean();
+  if (stale.length === 0) return 0;
+
+  await syncInboxEntries(stale);
+  await Conversation.collection.bulkWrite(stale.map((c) => ({
+    updateOne: {
+      filter: { _id: c._id, changedAt: c.changedAt, inboxStale: true },
+      update: { $unset: { inboxStale: '' } },
+    },
+  })), { ordered: false });
+
+  console.log(`[InboxRepair] Resynced inbox of ${stale.length} chats`);
+  return stale.length;
+}
+
+async function tick() {
+  try {
+    // Метка может остаться (беседа менялась) — не крутимся на ней, а ждём тик
+    await repairBatch();
+  } catch (e) {
+    console.error('[InboxRepair] tick error:', e.message);
+  } finally {
+    timer = setTimeout(tick, REPAIR_INTERVAL_MS);
+  }
+}
+
+function startInboxRepairSweeper() {
+  if (timer) return;
+  timer = setTimeout(tick, REPAIR_INTERVAL_MS);
+  console.log(`[InboxRepair] Checking every ${REPAIR_INTERVAL_MS / 1000}s`);
+}
+
+module.exports = { startInboxRepairSweeper };
@@ -7,7 +7,9 @@ async function ensureQueue(ch) {
   await ch.assertQueue(NOTIFICATION_QUEUE, { durable: true });
 }
 
-async function publishNotification({ userId, title, body, data = {}, retryCount = 0 }) {
+// silent — тихий push (без звука и баннера): данные для бейджа и отметки
+// доставки в заглушённом чате
+async function publishNotification({ userId, title, body, data = {}, silent = false, retryCount = 0 }) {
   const ch = getChannel();
   if (!ch) {
     console.error('[NotifPublisher] Channel not ready, notification lost:', { userId, title });
@@ -16,7 +18,7 @@ async function publishNotification({ userId, title, body, data = {}, retryCount
 
   await ensureQueue(ch);
 
-  const payload = JSON.stringify({ userId: String(userId), title, body, data, retryCount });
+  const payload = JSON.stringify({ userId: String(userId), title, body, data, silent, retryCount });
   ch.sendToQueue(NOTIFICATION_QUEUE, Buffer.from(payload), { persistent: true });
   return true;
 }
@@ -14,15 +14,15 @@ async function processNotification(msg) {
     return;
   }
 
-  const { userId, title, body, data: notifData = {}, retryCount = 0 } = data;
+  const { userId, title, body, data: notifData = {}, silent = false, retryCount = 0 } = data;
 
   try {
-    const result = await sendPushToUser(userId, { title, body, data: notifData });
+    const result = await sendPushToUser(userId, { title, body, data: notifData, silent });
 
     if (result.success || result.reason === 'no_tokens' || result.reason === 'firebase_not_initialized') {
       ch.ack(msg);
       if (result.success) {
-        console.log(`[NotifWorker] Sent push to ${userId}: "${title}"`);
+        console.log(`[NotifWorker] Sent ${silent ? 'silent ' : ''}push to ${userId}: "${title}"`);
       }
       return;
     }
@@ -35,7 +35,7 @@ async function processNotification(msg) {
       const delayMs = (retryCount + 1) * 5000; // 5s, 10s
       console.warn(`[NotifWorker] Push failed (attempt ${retryCount + 1}/3), retry in ${delayMs / 1000}s: ${e.message}`);
       setTimeout(() => {
-        publishNotification({ userId, title, body, data: notifData, retryCount: retryCount + 1 });
+        publishNotification({ userId, title, body, data: notifData, silent, retryCount: retryCount + 1 });
       }, delayMs);
     } else {
       console.error(`[NotifWorker] Gave up after 3 attempts for user ${userId}: ${e.message}`);
@@ -0,0 +1,104 @@
+// src/scheduledMessageWorker.js
+const ScheduledMessage = require('../models/scheduledMessageModel');
+const { sendChatMessage } = require('../services/messageService');
+const { emitToUser } = require('./socketManager');
+
+// Воркер отложенных сообщений. Запускается в основном процессе (server.js),
+// а не рядом с notification-воркером: отправка эмитит new_message через
+// Socket.IO, а io живёт только здесь. Захват задачи — атомарный
+// findOneAndUpdate, поэтому несколько инстансов не отправят сообщение дважды.
+const POLL_INTERVAL_MS = Number(process.env.SCHEDULED_POLL_INTERVAL_MS) || 15_000;
+const BATCH_SIZE = 50;
+// 'sending' дольше этого — инстанс упал посреди отправки, перезахватываем
+const LOCK_TIMEOUT_MS = 5 * 60_000;
+const MAX_ATTEMPTS = 3;
+
+let timer = null;
+
+async function claimNext() {
+  const now = new Date();
+  return ScheduledMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', sendAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'sending', lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+    { sort: { sendAt: 1 }, new: true }
+  ).lean();
+}
+
+async function dispatch(job) {
+  const scheduledId = String(job._id);
+  let result;
+  try {
+    // clientMessageId от id задачи: перезахват после падения не создаст дубль
+    result = await sendChatMessage({
+      senderId: String(job.senderId),
+      recipientId: String(job.recipientId),
+      payload: job.payload,
+      clientMessageId: `scheduled:${scheduledId}`,
+    });
+  } catch (e) {
+    // Инфраструктурный сбой (Mongo/Redis) — повторим позже, если есть попытки
+    const retry = job.attempts < MAX_ATTEMPTS;
+    await ScheduledMessage.updateOne(
+      { _id: job._id },
+      {
+        status: retry ? 'pending' : 'failed',
+        lockedAt: null,
+        lastError: { code: 'SERVER_ERROR', message: e.message },
+        updatedAt: new Date(),
+      }
+    );
+    console.error(`[ScheduledWorker] ${scheduledId} error (attempt ${job.attempts}/${MAX_ATTEMPTS}): ${e.message}`);
+    if (!retry) {
+      emitToUser(job.senderId, 'scheduled_message_failed', { scheduledId, code: 'SERVER_ERROR' });
+    }
+    return;
+  }
+
+  if (result.status < 300) {
+    const message = result.body.message;
+    await ScheduledMessage.updateOne(
+      { _id: job._id },
+      { status: 'sent', lockedAt: null, messageId: message._id, sentAt: new Date(), updatedAt: new Date() }
+    );
+    // Автор видит сообщение в чате на всех своих устройствах
+    emitToUser(job.senderId, 'scheduled_message_sent', { scheduledId, message });
+    console.log(`[ScheduledWorker] Sent ${scheduledId} → message ${message._id}`);
+    return;
+  }
+
+  // Отказ по правилам (блок, премиум, чат удалён…) — повтор не поможет
+  const { code = null, message = null } = result.body;
+  await ScheduledMessage.updateOne(
+    { _id: job._id },
+    { status: 'failed', lockedAt: null, lastError: { code, message }, updatedAt: new Date() }
+  );
+  emitToUser(job.senderId, 'scheduled_message_failed', { scheduledId, code, message });
+  console.warn(`[ScheduledWorker] ${scheduledId} rejected: ${code || result.status}`);
+}
+
+async function tick() {
+  try {
+    for (let i = 0; i < BATCH_SIZE; i += 1) {
+      const job = await claimNext();
+      if (!job) break;
+      await dispatch(job);
+    }
+  } catch (e) {
+    console.error('[ScheduledWorker] tick error:', e.message);
+  } finally {
+    timer = setTimeout(tick, POLL_INTERVAL_MS);
+  }
+}
+
+function startScheduledMessageWorker() {
+  if (timer) return;
+  timer = setTimeout(tick, POLL_INTERVAL_MS);
+  console.log(`[ScheduledWorker] Polling every ${POLL_INTERVAL_MS / 1000}s`);
+}
+
+module.exports = { startScheduledMessageWorker };
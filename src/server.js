@@ -29,6 +29,10 @@ const chatRoutes = require('../routes/chat');
 
 // Connect Socket.IO manager
 const { initSocketIO } = require('./socketManager');
+const { startScheduledMessageWorker } = require('./scheduledMessageWorker');
+const { startDisappearingMessageSweeper } = require('./disappearingMessageSweeper');
+const { startUserCardInvalidation } = require('./userCardInvalidation');
+const { startInboxRepairSweeper } = require('./inboxRepairSweeper');
 
 const app = express();
 const PORT = process.env.PORT || 6000;
@@ -74,10 +78,24 @@ const messageLimiter = rateLimit({
   message: { message: 'Message rate limit exceeded' },
 });
 
+// Ремонт счётчиков пересчитывает непрочитанные по всем беседам пользователя —
+// тяжёлый запрос, клиенту он нужен изредка: 5 раз за 10 минут на пользователя
+const repairLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.headers['authorization'] || 'anonymous',
+  skip: (req) => !req.headers['authorization'],
+  message: { message: 'Unread repair rate limit exceeded' },
+});
+
 app.get('/health', (req, res) => res.json({ status: 'ok' }));
 
 app.use('/chats', limiter);
 app.use(/\/chats\/.*\/messages$/, messageLimiter);
+// Пересылка рассылает до 20 сообщений за запрос — под тот же лимит как
+// запрос; пересланные сообщения поштучно считает forwardRateLimit (routes/chat.js)
+app.use(/\/chats\/messages\/[^/]+\/forward$/, messageLimiter);
+app.use('/chats/unread/repair', repairLimiter);
 
 // Use routes
 app.use(chatRoutes);
@@ -88,6 +106,15 @@ const httpServer = http.createServer(app);
 // Initialize Socket.IO
 initSocketIO(httpServer);
 
+// Отправка отложенных сообщений (нужен io — поэтому после initSocketIO)
+startScheduledMessageWorker();
+// Очистка исчезающих сообщений (эмитит message_deleted — тоже после initSocketIO)
+startDisappearingMessageSweeper();
+// Сброс кэша карточек собеседников по событиям user-service
+startUserCardInvalidation();
+// Пересборка inbox бесед, на которых хук conversationModel не справился
+startInboxRepairSweeper();
+
 httpServer.listen(PORT, '0.0.0.0', () => {
   console.log(`User SMS Service is running on http://localhost:${PORT}`);
 });
@@ -6,6 +6,8 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
 const Conversation = require('../models/conversationModel');
 const { sendCallNotification } = require('../services/pushNotificationService');
+const { validatePayload, schemas } = require('../middlewares/validate');
+const { appendEvent, getEventsSince } = require('./eventLog');
 
 let io = null;
 
@@ -63,6 +65,24 @@ async function presenceCount(userId) {
   }
 }
 
+// ─── Лимит отправки сообщений через сокет ──────────────────────────────────
+// Аналог messageLimiter из server.js (30 сообщений в минуту на пользователя),
+// но для message:send: express-rate-limit сокет-события не видит. Счётчик в
+// Redis — общий для всех инстансов. Redis недоступен — пропускаем (fail-open).
+const SOCKET_MESSAGE_LIMIT = Number(process.env.SOCKET_MESSAGE_RATE_LIMIT) || 30;
+
+async function allowSocketMessage(userId) {
+  try {
+    const minute = Math.floor(Date.now() / 60_000);
+    const key = `chat:socket-msg-rate:${userId}:${minute}`;
+    const n = await presenceRedis.incr(key);
+    if (n === 1) await presenceRedis.expire(key, 60);
+    return n <= SOCKET_MESSAGE_LIMIT;
+  } catch {
+    return true;
+  }
+}
+
 // Хранилище активных офферов звонков (recipientId → offer)
 // Если получатель переподключается пока звонок активен — оффер переотправляется
 const CALL_OFFER_TTL_MS = 45_000;
@@ -116,6 +136,54 @@ async function broadcastUserStatus(userId, isOnline, lastSeen) {
   }
 }
 
+/**
+ * Досылает события, пропущенные за время разрыва (seq > lastSeq из handshake).
+ * Порядок: 1) досылаем журнал; 2) входим в комнату user:<id> — пошли живые
+ * события; 3) досылаем то, что успело записаться между шагами 1 и 2. Дубли
+ * на стыке клиент отбрасывает по seq (<= последнего увиденного).
+ * В конце — events_synced: { latestSeq, replayed, resyncRequired }.
+ */
+async function replayMissedEvents(socket, lastSeq) {
+  const room = `user:${socket.userId}`;
+  const emitLogged = (e) => socket.emit(e.event, { ...e.data, seq: e.seq });
+
+  let first;
+  try {
+    first = await getEventsSince(socket.userId, lastSeq);
+  } catch (e) {
+    // Журнал недоступен — не знаем, что пропущено: пусть клиент перезапросит
+    console.error('[socket-chat] event replay error:', e.message);
+    socket.join(room);
+    socket.emit('events_synced', { latestSeq: null, replayed: 0, resyncRequired: true });
+    return;
+  }
+
+  if (first.gap) {
+    socket.join(room);
+    socket.emit('events_synced', { latestSeq: first.latestSeq, replayed: 0, resyncRequired: true });
+    return;
+  }
+
+  first.events.forEach(emitLogged);
+  socket.join(room);
+
+  const replayedUpTo = first.events.length ? first.events[first.events.length - 1].seq : lastSeq;
+  let tail = [];
+  try {
+    tail = (await getEventsSince(socket.userId, replayedUpTo)).events;
+    tail.forEach(emitLogged);
+  } catch (e) {
+    console.error('[socket-chat] event replay tail error:', e.message);
+  }
+
+  const replayed = first.events.length + tail.length;
+  const latestSeq = tail.length ? tail[tail.length - 1].seq : Math.max(first.latestSeq, replayedUpTo);
+  socket.emit('events_synced', { latestSeq, replayed, resyncRequired: false });
+  if (replayed > 0) {
+    console.log(`[socket-chat] Replayed ${replayed} missed events to ${socket.userId} (after seq ${lastSeq})`);
+  }
+}
+
 function initSocketIO(httpServer) {
   io = new Server(httpServer, {
     cors: {
@@ -130,6 +198,12 @@ function initSocketIO(httpServer) {
     path: '/socket/chat',
   });
 
+  // Подключаем здесь, а не в шапке: сервисы сами импортируют emitToUser из этого
+  // модуля, и циклический require на старте отдал бы им пустой exports.
+  const { markMessagesDelivered } = require('../services/deliveryReceiptService');
+  const { sendChatMessage } = require('../services/messageService');
+  const { recordMissedCall } = require('../services/systemMessageService');
+
   io.adapter(createRedisAdapter());
   console.log('[socket-chat] Redis adapter connected');
 
@@ -167,7 +241,20 @@ function initSocketIO(httpServer) {
 
   io.on('connection', async (socket) => {
     console.log(`[socket-chat] User connected: ${socket.userId}`);
-    socket.join(`user:${socket.userId}`);
+
+    // lastSeq в handshake — клиент переподключается и ждёт досылки пропущенного.
+    // Без него (первый запуск) клиент сам грузит чаты по REST; сообщаем лишь
+    // текущий seq, от которого он будет вести счёт.
+    const lastSeq = Number(socket.handshake.auth?.lastSeq);
+    if (socket.handshake.auth?.lastSeq != null && Number.isInteger(lastSeq) && lastSeq >= 0) {
+      replayMissedEvents(socket, lastSeq)
+        .catch((e) => console.error('[socket-chat] replayMissedEvents error:', e.message));
+    } else {
+      socket.join(`user:${socket.userId}`);
+      getEventsSince(socket.userId, Number.MAX_SAFE_INTEGER)
+        .then(({ latestSeq }) => socket.emit('events_synced', { latestSeq, replayed: 0, resyncRequired: false }))
+        .catch(() => {});
+    }
 
     // Отменяем отложенную пометку offline (переподключение / флаппинг)
     const pending = pendingOffline.get(socket.userId);
@@ -251,6 +338,12 @@ function initSocketIO(httpServer) {
 
     socket.on('call:end', ({ to }) => {
       if (!to) return;
+      // Оффер ещё висит — получатель так и не ответил: пропущенный звонок
+      const unanswered = pendingCallOffers.get(String(to));
+      if (unanswered && unanswered.callerId === socket.userId) {
+        recordMissedCall(socket.userId, to, 'cancelled')
+          .catch((e) => console.error('[socket-chat] recordMissedCall error:', e.message));
+      }
       // Звонок завершён — удаляем оффер для получателя
       pendingCallOffers.delete(String(to));
       io.to(`user:${String(to)}`).emit('call:ended', { from: socket.userId });
@@ -258,6 +351,11 @@ function initSocketIO(httpServer) {
 
     socket.on('call:reject', ({ to }) => {
       if (!to) return;
+      const rejected = pendingCallOffers.get(socket.userId);
+      if (rejected && rejected.callerId === String(to)) {
+        recordMissedCall(to, socket.userId, 'rejected')
+          .catch((e) => console.error('[socket-chat] recordMissedCall error:', e.message));
+      }
       // Получатель отклонил — удаляем его оффер
       pendingCallOffers.delete(socket.userId);
       io.to(`user:${String(to)}`).emit('call:rejected', { from: socket.userId });
@@ -291,6 +389,54 @@ function initSocketIO(httpServer) {
       });
     });
 
+    // Отправка сообщения через сокет — тот же конвейер, что и REST
+    // POST /chats/:recipientId/messages (валидация, блок/премиум/стикер/E2E,
+    // сохранение, new_message, push). Ответ — через ack:
+    //   { ok: true, message, duplicate } | { ok: false, code, message }
+    socket.on('message:send', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const payload = data && typeof data === 'object' ? data : {};
+
+        if (!(await allowSocketMessage(socket.userId))) {
+          return reply({ ok: false, code: 'RATE_LIMITED', message: 'Message rate limit exceeded' });
+        }
+
+        const validationError = validatePayload(schemas.sendMessage, payload);
+        if (validationError) {
+          return reply({ ok: false, code: 'VALIDATION_ERROR', message: validationError });
+        }
+
+        const result = await sendChatMessage({
+          senderId: socket.userId,
+          recipientId: payload.recipientId,
+          payload,
+          clientMessageId: payload.clientMessageId || null,
+        });
+
+        if (result.status >= 300) {
+          return reply({ ok: false, code: result.body.code, message: result.body.message });
+        }
+        return reply({ ok: true, message: result.body.message, duplicate: result.status === 200 });
+      } catch (e) {
+        console.error('[socket-chat] message:send error:', e.message);
+        return reply({ ok: false, code: 'SERVER_ERROR', message: 'Server error' });
+      }
+    });
+
+    // Подтверждение доставки: клиент получил new_message (или подтянул
+    // сообщения из истории) — фиксируем deliveredAt, отправитель получает
+    // messages_delivered. ack (если передан) — сколько отмечено впервые.
+    socket.on('delivery_ack', async ({ messageIds } = {}, ack) => {
+      try {
+        const delivered = await markMessagesDelivered(socket.userId, messageIds);
+        if (typeof ack === 'function') ack({ ok: true, delivered });
+      } catch (e) {
+        console.error('[socket-chat] delivery_ack error:', e.message);
+        if (typeof ack === 'function') ack({ ok: false });
+      }
+    });
+
     socket.on('disconnect', async () => {
       console.log(`[socket-chat] User disconnected: ${socket.userId}`);
 
@@ -325,11 +471,17 @@ function getIO() {
 }
 
 /**
- * Emit event to a specific user's room
+ * Emit event to a specific user's room.
+ * Событие пишется в журнал (src/eventLog) и уходит с полем seq — по нему
+ * клиент после переподключения запрашивает досылку пропущенного. Номер и
+ * запись в журнал — один скрипт в Redis, emit ждёт только его.
  */
 function emitToUser(userId, event, data) {
   if (!io) return;
-  io.to(`user:${String(userId)}`).emit(event, data);
+  const room = `user:${String(userId)}`;
+  appendEvent(userId, event, data).then((seq) => {
+    io.to(room).emit(event, seq ? { ...data, seq } : data);
+  });
 }
 
 module.exports = { initSocketIO, getIO, emitToUser };
@@ -0,0 +1,54 @@
+// src/userCardInvalidation.js
+const { getChannel } = require('./rabbitmq');
+const { invalidateUserCards } = require('../services/userCards');
+
+// Сброс кэша карточек (services/userCards.js) по событиям user-service:
+// профиль, фото, удаление аккаунта. Слушаем topic-exchange целиком (user.#) —
+// лишний сброс дешевле устаревшего имени или фото в списке чатов.
+// Очередь общая для всех инстансов: кэш в Redis один, сбросить его достаточно
+// одному из них.
+//
+// Контракт для издателя. В этом репозитории в user.events никто не пишет —
+// события публикует user-service при изменении полей карточки
+// (name, age, userPhoto, city, userLocation) и при удалении аккаунта:
+//   exchange:    USER_EVENTS_EXCHANGE (по умолчанию 'user.events'), topic, durable
+//   routing key: user.<событие>, например user.profile_updated, user.photo_updated,
+//                user.deleted — само событие не разбираем, важен префикс user.
+//   тело:        JSON { "userId": "<ObjectId>" }, остальные поля игнорируются
+// Пока издателя нет, карточки обновляются только по истечении TTL кэша
+// (USER_CARD_CACHE_TTL_SEC).
+const USER_EVENTS_EXCHANGE = process.env.USER_EVENTS_EXCHANGE || 'user.events';
+const INVALIDATION_QUEUE = 'chat.user-cards.invalidate';
+
+async function processUserEvent(msg) {
+  const ch = getChannel();
+  try {
+    const { userId } = JSON.parse(msg.content.toString());
+    if (userId) await invalidateUserCards([userId]);
+  } catch (e) {
+    console.error('[UserCardInvalidation] Bad event:', e.message);
+  }
+  ch.ack(msg);
+}
+
+async function startUserCardInvalidation() {
+  const ch = getChannel();
+  if (!ch) {
+    console.warn('[UserCardInvalidation] Channel not ready, retry in 2s...');
+    setTimeout(startUserCardInvalidation, 2000);
+    return;
+  }
+
+  try {
+    await ch.assertExchange(USER_EVENTS_EXCHANGE, 'topic', { durable: true });
+    await ch.assertQueue(INVALIDATION_QUEUE, { durable: true });
+    await ch.bindQueue(INVALIDATION_QUEUE, USER_EVENTS_EXCHANGE, 'user.#');
+    ch.consume(INVALIDATION_QUEUE, processUserEvent);
+    console.log('[UserCardInvalidation] Listening on', `${USER_EVENTS_EXCHANGE} → ${INVALIDATION_QUEUE}`);
+  } catch (e) {
+    console.error('[UserCardInvalidation] Setup failed, retry in 5s:', e.message);
+    setTimeout(startUserCardInvalidation, 5000);
+  }
+}
+
+module.exports = { startUserCardInvalidation };
@@ -0,0 +1,16 @@
+// Таймер исчезающих сообщений: значение из API → время жизни сообщения (сек).
+// 'off' — сообщения не исчезают. Дублируется на клиенте — менять в обоих местах.
+const DISAPPEARING_TIMERS = {
+  off: 0,
+  '24h': 24 * 3600,
+  '7d': 7 * 24 * 3600,
+  '90d': 90 * 24 * 3600,
+};
+
+// Когда истечёт новое сообщение беседы (null — таймер выключен)
+function expiresAtFor(timer, from = new Date()) {
+  const ttlSec = DISAPPEARING_TIMERS[timer] || 0;
+  return ttlSec > 0 ? new Date(from.getTime() + ttlSec * 1000) : null;
+}
+
+module.exports = { DISAPPEARING_TIMERS, expiresAtFor };
@@ -0,0 +1,17 @@
+// Варианты «Без звука» для чата: значение из API → длительность (мс).
+// null — навсегда (до ручного включения). Дублируется на клиенте.
+const MUTE_DURATIONS = {
+  '1h': 3600 * 1000,
+  '8h': 8 * 3600 * 1000,
+  '1w': 7 * 24 * 3600 * 1000,
+  forever: null,
+};
+
+// Запись mutedBy пользователя, если заглушка ещё действует (until: null — навсегда)
+function getActiveMute(conversation, userId, now = new Date()) {
+  const entry = (conversation?.mutedBy || []).find((m) => String(m.userId) === String(userId));
+  if (!entry) return null;
+  return entry.until === null || entry.until > now ? entry : null;
+}
+
+module.exports = { MUTE_DURATIONS, getActiveMute };
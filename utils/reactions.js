@@ -0,0 +1,38 @@
+// Палитра быстрых реакций на сообщения. Дублируется на клиенте — менять надо
+// в обоих местах. Порядок палитры = порядок в сводке реакций.
+const REACTION_EMOJIS = ['❤️', '😂', '😮', '😢', '🔥', '👍'];
+const HEART = '❤️';
+
+// Реакции сообщения с учётом легаси heartedBy: пока сообщение не прошло
+// scripts/migrateHeartsToReactions.js, старые «сердечки» живут только там.
+function collectReactions(msg) {
+  const list = (msg?.reactions || []).map((r) => ({ userId: String(r.userId), emoji: r.emoji }));
+  const seen = new Set(list.map((r) => r.userId));
+  (msg?.heartedBy || []).forEach((id) => {
+    if (!seen.has(String(id))) list.push({ userId: String(id), emoji: HEART });
+  });
+  return list;
+}
+
+// Текущая реакция пользователя на сообщение (или null)
+function getUserReaction(msg, userId) {
+  const own = collectReactions(msg).find((r) => r.userId === String(userId));
+  return own ? own.emoji : null;
+}
+
+// Сводка для клиента: [{ emoji, count }] в порядке палитры + реакция текущего
+// юзера + heartedBy для старых клиентов, которые знают только сердечко.
+function summarizeReactions(msg, userId) {
+  const list = collectReactions(msg);
+  const counts = new Map();
+  list.forEach((r) => counts.set(r.emoji, (counts.get(r.emoji) || 0) + 1));
+  return {
+    reactionCounts: REACTION_EMOJIS
+      .filter((emoji) => counts.has(emoji))
+      .map((emoji) => ({ emoji, count: counts.get(emoji) })),
+    myReaction: userId ? (list.find((r) => r.userId === String(userId))?.emoji || null) : null,
+    heartedBy: list.filter((r) => r.emoji === HEART).map((r) => r.userId),
+  };
+}
+
+module.exports = { REACTION_EMOJIS, HEART, getUserReaction, summarizeReactions };